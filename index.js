@@ -5,6 +5,8 @@ const express = require('express');
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
+const zlib = require('zlib');
+const vm = require('vm');
 
 // fetch polyfill for Node < 18 or when library expects global fetch
 // Install node-fetch: npm install node-fetch
@@ -28,9 +30,12 @@ const translateApi = require('@vitalets/google-translate-api');
 const { Dropbox } = require('dropbox');
 
 // discord & voice & play-dl
-const { Client, GatewayIntentBits, PermissionsBitField, REST, Routes, SlashCommandBuilder, ActivityType, ChannelType } = require('discord.js');
+const { Client, GatewayIntentBits, PermissionsBitField, REST, Routes, SlashCommandBuilder, ActivityType, ChannelType, WebhookType, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, AuditLogEvent, ContextMenuCommandBuilder, ApplicationCommandType, Partials } = require('discord.js');
 const { joinVoiceChannel, createAudioPlayer, createAudioResource, AudioPlayerStatus, NoSubscriberBehavior } = require('@discordjs/voice');
 const play = require('play-dl');
+const OpenAI = require('openai');
+const equal = require('fast-deep-equal');
+const { createLocalStorage, createDropboxStorage, createS3Storage, createEncryptedStorage, createMirroredStorage } = require('./storage');
 
 // Utilities
 const delay = ms => new Promise(res => setTimeout(res, ms));
@@ -54,14 +59,15 @@ if (DROPBOX_TOKEN) {
 
 // discord client
 const client = new Client({
-  intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent, GatewayIntentBits.GuildVoiceStates]
+  intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMembers, GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent, GatewayIntentBits.GuildVoiceStates, GatewayIntentBits.GuildModeration, GatewayIntentBits.GuildMessageReactions],
+  // flag reactions can land on messages sent before the bot started
+  partials: [Partials.Message, Partials.Channel, Partials.Reaction]
 });
 
 // in-memory maps
 const msgCooldowns = new Map();
-const userWeatherPrefs = new Map(); // userId -> pref string
-const quizzes = []; // load from JSON if exists
-const audioPlayers = new Map(); // guildId -> {connection, player}
+const audioPlayers = new Map(); // guildId -> {connection, player, queue, current, loop, volume, ...}
+const geminiThreads = new Set(); // thread ids opened by /gemini
 
 // ===== Express Keep-Alive =====
 const app = express();
@@ -85,297 +91,3755 @@ function hasManageGuildPermission(member) {
   }
 }
 
+// short phrases repeat a lot (greetings, reactions, mirrored channels), so their results are kept in memory
+const TRANSLATE_CACHE_MAX = 500;
+const TRANSLATE_CACHE_TEXT_MAX = 500;
+const translateCache = new Map(); // `${from}|${to}|${text}` -> result, oldest first
+
 async function translateWithRetry(text, options, retries = 3) {
+  const cacheKey = text.length <= TRANSLATE_CACHE_TEXT_MAX ? `${options?.from || 'auto'}|${options?.to || 'en'}|${text}` : null;
+  if (cacheKey && translateCache.has(cacheKey)) {
+    const hit = translateCache.get(cacheKey);
+    translateCache.delete(cacheKey);
+    translateCache.set(cacheKey, hit);
+    return hit;
+  }
   for (let i = 0; i < retries; i++) {
-    try { return await translateApi.translate(text, options); }
-    catch (e) {
+    try {
+      const res = await translateApi.translate(text, options);
+      if (cacheKey) {
+        translateCache.set(cacheKey, res);
+        if (translateCache.size > TRANSLATE_CACHE_MAX) translateCache.delete(translateCache.keys().next().value);
+      }
+      return res;
+    } catch (e) {
       if (e?.name === 'TooManyRequestsError') await delay(1500 * (i + 1));
       else throw e;
     }
   }
-  throw new Error('翻訳APIが多すぎます');
+  throw new Error('翻訳APIが多すぎます');
+}
+
+// ===== Discord operation queue (bulk restore / nuke / clear) =====
+// Calls sharing a rate-limit bucket (route + major parameter) run one at a time, different buckets run
+// side by side up to `concurrency`. Buckets are paused when discord.js reports a rate limit, transient
+// errors (429 / 5xx / network) are retried with backoff and permanent ones are rethrown as DiscordOperationError.
+class DiscordOperationError extends Error {
+  constructor(label, cause) {
+    super(`${label ? `${label}: ` : ''}${describeDiscordError(cause)}`);
+    this.name = 'DiscordOperationError';
+    this.label = label;
+    this.code = cause?.code ?? null;
+    this.status = cause?.status ?? null;
+    this.permanent = !isTransientDiscordError(cause);
+    this.cause = cause;
+  }
+}
+
+const DISCORD_ERROR_MESSAGES = {
+  10003: 'チャンネルが存在しません',
+  10008: 'メッセージが存在しません',
+  10011: 'ロールが存在しません',
+  10014: '絵文字が存在しません',
+  30005: 'ロール数の上限に達しています',
+  30008: '絵文字数の上限に達しています',
+  30013: 'チャンネル数の上限に達しています',
+  50001: 'アクセス権がありません',
+  50013: '権限が不足しています（Botのロール位置より上のロールは操作できません）',
+  50034: '14日以上前のメッセージは一括削除できません',
+  50035: '入力値が不正です'
+};
+
+function describeDiscordError(e) {
+  if (!e) return '不明なエラー';
+  return DISCORD_ERROR_MESSAGES[e.code] ? `${DISCORD_ERROR_MESSAGES[e.code]} (${e.code})` : (e.message || String(e));
+}
+
+function isTransientDiscordError(e) {
+  if (!e) return false;
+  if (e.status === 429 || e.status >= 500) return true;
+  return ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ECONNREFUSED', 'UND_ERR_SOCKET'].includes(e.code) || e.name === 'AbortError';
+}
+
+function createOperationQueue({ concurrency = 4, retries = 3, baseDelay = 500 } = {}) {
+  const tails = new Map(); // bucket -> last queued promise
+  const pausedUntil = new Map(); // bucket -> timestamp
+  let globalPausedUntil = 0;
+  let active = 0;
+  const waiting = [];
+
+  const acquire = () => {
+    if (active < concurrency) { active++; return Promise.resolve(); }
+    return new Promise(res => waiting.push(res));
+  };
+  const release = () => {
+    const next = waiting.shift();
+    if (next) next(); else active--;
+  };
+  const waitForBucket = async bucket => {
+    for (;;) {
+      const wait = Math.max(globalPausedUntil, pausedUntil.get(bucket) || 0) - Date.now();
+      if (wait <= 0) return;
+      await delay(wait);
+    }
+  };
+
+  async function execute(fn, bucket, label) {
+    for (let attempt = 0; ; attempt++) {
+      await waitForBucket(bucket);
+      await acquire();
+      try {
+        return await fn();
+      } catch (e) {
+        if (!isTransientDiscordError(e) || attempt >= retries) throw new DiscordOperationError(label, e);
+        const retryAfter = Number(e.rawError?.retry_after) * 1000;
+        pausedUntil.set(bucket, Date.now() + (retryAfter > 0 ? retryAfter : baseDelay * 2 ** attempt));
+      } finally {
+        release();
+      }
+    }
+  }
+
+  // route like '/guilds/:id/roles', major = the guild/channel/webhook ID it applies to
+  function run(fn, { route = 'global', major = '', label = '' } = {}) {
+    const bucket = `${route}:${major}`;
+    const result = (tails.get(bucket) || Promise.resolve()).then(() => execute(fn, bucket, label));
+    const tail = result.catch(() => {});
+    tails.set(bucket, tail);
+    tail.then(() => { if (tails.get(bucket) === tail) tails.delete(bucket); });
+    return result;
+  }
+
+  // run a batch and collect failures instead of stopping at the first one
+  async function settle(items, toOp) {
+    const failures = [];
+    const results = await Promise.all(items.map(item => {
+      const op = toOp(item);
+      return run(op.fn, op).catch(e => {
+        failures.push({ item, entity: op.label, error: describeDiscordError(e.cause || e), permanent: e.permanent !== false });
+        return null;
+      });
+    }));
+    return { results, failures };
+  }
+
+  function onRateLimited(info) {
+    const until = Date.now() + (info.timeToReset || info.retryAfter || 0);
+    if (info.global) globalPausedUntil = Math.max(globalPausedUntil, until);
+    else {
+      const bucket = `${info.route}:${info.majorParameter}`;
+      pausedUntil.set(bucket, Math.max(pausedUntil.get(bucket) || 0, until));
+    }
+  }
+
+  return { run, settle, onRateLimited };
+}
+
+const discordQueue = createOperationQueue({ concurrency: parseInt(process.env.DISCORD_OP_CONCURRENCY || '4', 10) || 4 });
+client.rest.on('rateLimited', info => discordQueue.onRateLimited(info));
+
+// ===== Storage backend selection (the backends themselves live in storage.js) =====
+const STORAGE_BACKEND = (process.env.STORAGE_BACKEND || (DROPBOX_TOKEN ? 'dropbox' : 'local')).toLowerCase();
+const STORAGE_ENCRYPTION_KEY = process.env.STORAGE_ENCRYPTION_KEY || null;
+
+function createStorageFromEnv() {
+  const wrap = s => (STORAGE_ENCRYPTION_KEY ? createEncryptedStorage(s, STORAGE_ENCRYPTION_KEY) : s);
+  const local = wrap(createLocalStorage(BACKUP_DIR));
+  if (STORAGE_BACKEND === 'dropbox') {
+    if (!dbx) throw new Error('STORAGE_BACKEND=dropbox requires DROPBOX_TOKEN');
+    return createMirroredStorage(local, [wrap(createDropboxStorage(dbx, process.env.DROPBOX_ROOT || ''))]);
+  }
+  if (STORAGE_BACKEND === 's3') {
+    const { S3_ENDPOINT, S3_BUCKET, S3_REGION, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_PREFIX } = process.env;
+    if (!S3_ENDPOINT || !S3_BUCKET || !S3_ACCESS_KEY_ID || !S3_SECRET_ACCESS_KEY) throw new Error('STORAGE_BACKEND=s3 requires S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    return createMirroredStorage(local, [wrap(createS3Storage({ endpoint: S3_ENDPOINT, bucket: S3_BUCKET, region: S3_REGION || 'us-east-1', accessKeyId: S3_ACCESS_KEY_ID, secretAccessKey: S3_SECRET_ACCESS_KEY, prefix: S3_PREFIX || '' }))]);
+  }
+  if (STORAGE_BACKEND !== 'local') console.warn(`unknown STORAGE_BACKEND "${STORAGE_BACKEND}", using local`);
+  return local;
+}
+
+const storage = createStorageFromEnv();
+console.log(`storage backend: ${storage.name}`);
+
+async function readJson(key, fallback = null) {
+  const buf = await storage.get(key);
+  if (!buf) return fallback;
+  try { return JSON.parse(buf.toString('utf-8')); }
+  catch (e) { console.warn('broken JSON in storage:', key, e.message); return fallback; }
+}
+
+async function writeJson(key, data) {
+  await storage.put(key, Buffer.from(JSON.stringify(data, null, 2), 'utf-8'));
+}
+
+// ===== Backup Functions =====
+async function downloadBuffer(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`download failed: ${res.status} ${url}`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
+const BACKUP_MESSAGES_PER_CHANNEL = parseInt(process.env.BACKUP_MESSAGES_PER_CHANNEL || '0', 10) || 0;
+const BACKUP_ATTACHMENT_MAX_BYTES = 8 * 1024 * 1024;
+const REPLAYABLE_CHANNEL_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement];
+
+// sticker format -> file extension (3 = Lottie, which cannot be re-uploaded)
+const STICKER_EXT = { 1: 'png', 2: 'png', 3: 'json', 4: 'gif' };
+const FORUM_CHANNEL_TYPES = [ChannelType.GuildForum, ChannelType.GuildMedia];
+
+function collectForumSettings(ch) {
+  return {
+    availableTags: (ch.availableTags || []).map(t => ({
+      id: t.id,
+      name: t.name,
+      moderated: !!t.moderated,
+      emoji: t.emoji ? { id: t.emoji.id || null, name: t.emoji.name || null } : null
+    })),
+    defaultReactionEmoji: ch.defaultReactionEmoji ? { id: ch.defaultReactionEmoji.id || null, name: ch.defaultReactionEmoji.name || null } : null,
+    defaultThreadRateLimitPerUser: ch.defaultThreadRateLimitPerUser ?? null,
+    defaultAutoArchiveDuration: ch.defaultAutoArchiveDuration ?? null,
+    defaultSortOrder: ch.defaultSortOrder ?? null,
+    defaultForumLayout: ch.defaultForumLayout ?? null
+  };
+}
+
+// messageLimit > 0 also archives the last N messages of every text channel (for replay on restore)
+async function collectGuildBackup(guild, { messageLimit = BACKUP_MESSAGES_PER_CHANNEL } = {}) {
+  await guild.roles.fetch();
+  await guild.channels.fetch();
+
+  const roles = guild.roles.cache.filter(r => !r.managed)
+    .sort((a, b) => a.position - b.position)
+    .map(r => ({
+      id: r.id,
+      name: r.name,
+      color: r.color,
+      hoist: r.hoist,
+      position: r.position,
+      mentionable: r.mentionable,
+      permissions: r.permissions.bitfield.toString()
+    }));
+
+  const channels = guild.channels.cache.sort((a, b) => a.rawPosition - b.rawPosition).map(ch => {
+    const base = {
+      id: ch.id,
+      name: ch.name,
+      type: ch.type,
+      parentId: ch.parentId || null,
+      position: ch.rawPosition,
+      rateLimitPerUser: ch.rateLimitPerUser || 0,
+      nsfw: !!ch.nsfw,
+      topic: ch.topic || null,
+      bitrate: ch.bitrate || null,
+      userLimit: ch.userLimit || null
+    };
+    if (FORUM_CHANNEL_TYPES.includes(ch.type)) base.forum = collectForumSettings(ch);
+    // type 0 = role, type 1 = member
+    const overwrites = [];
+    if (ch.permissionOverwrites?.cache?.size) {
+      ch.permissionOverwrites.cache.forEach(ow => {
+        overwrites.push({
+          id: ow.id,
+          allow: ow.allow.bitfield.toString(),
+          deny: ow.deny.bitfield.toString(),
+          type: ow.type
+        });
+      });
+    }
+    return { ...base, overwrites };
+  });
+
+  // userId -> role IDs (needs the GuildMembers intent)
+  const memberRoles = {};
+  try {
+    await guild.members.fetch();
+    const backedUp = new Set(roles.map(r => r.id));
+    guild.members.cache.forEach(m => {
+      const ids = m.roles.cache.filter(r => r.id !== guild.id && backedUp.has(r.id)).map(r => r.id);
+      if (ids.length) memberRoles[m.id] = ids;
+    });
+  } catch (e) {
+    console.warn('member fetch failed, member roles not saved:', e.message);
+  }
+
+  // image bytes are kept with the snapshot (see saveGuildBackup) because CDN URLs stop working once deleted
+  const assets = {};
+  const grab = async (name, url) => {
+    if (!url) return null;
+    try { assets[name] = await downloadBuffer(url); return name; }
+    catch (e) { console.warn('asset download failed:', name, e.message); return null; }
+  };
+
+  const emojis = [];
+  try {
+    await guild.emojis.fetch();
+    for (const e of guild.emojis.cache.values()) {
+      if (e.managed) continue;
+      const asset = await grab(`emoji-${e.id}.${e.animated ? 'gif' : 'png'}`, e.imageURL({ extension: e.animated ? 'gif' : 'png' }));
+      emojis.push({ id: e.id, name: e.name, animated: !!e.animated, roles: e.roles.cache.map(r => r.id), asset });
+    }
+  } catch (e) { console.warn('emoji backup failed:', e.message); }
+
+  const stickers = [];
+  try {
+    await guild.stickers.fetch();
+    for (const st of guild.stickers.cache.values()) {
+      const asset = await grab(`sticker-${st.id}.${STICKER_EXT[st.format] || 'png'}`, st.url);
+      stickers.push({ id: st.id, name: st.name, description: st.description || '', tags: st.tags || '', format: st.format, asset });
+    }
+  } catch (e) { console.warn('sticker backup failed:', e.message); }
+
+  // only incoming webhooks can be recreated; the URL/token changes on restore
+  const webhooks = [];
+  try {
+    const hooks = await guild.fetchWebhooks();
+    for (const w of hooks.values()) {
+      if (w.type !== WebhookType.Incoming || !w.channelId) continue;
+      const asset = await grab(`webhook-${w.id}.png`, w.avatar ? w.avatarURL({ extension: 'png' }) : null);
+      webhooks.push({ id: w.id, channelId: w.channelId, name: w.name, asset });
+    }
+  } catch (e) { console.warn('webhook backup failed:', e.message); }
+
+  const settings = {
+    verificationLevel: guild.verificationLevel,
+    explicitContentFilter: guild.explicitContentFilter,
+    defaultMessageNotifications: guild.defaultMessageNotifications,
+    afkChannelId: guild.afkChannelId || null,
+    afkTimeout: guild.afkTimeout,
+    systemChannelId: guild.systemChannelId || null,
+    systemChannelFlags: guild.systemChannelFlags?.bitfield ?? 0,
+    rulesChannelId: guild.rulesChannelId || null,
+    publicUpdatesChannelId: guild.publicUpdatesChannelId || null,
+    preferredLocale: guild.preferredLocale || null
+  };
+
+  // channelId -> serialized messages (oldest first); attachment bytes go to assets since CDN links expire
+  const messages = {};
+  if (messageLimit > 0) {
+    for (const ch of guild.channels.cache.values()) {
+      if (!REPLAYABLE_CHANNEL_TYPES.includes(ch.type)) continue;
+      try {
+        const list = (await fetchChannelMessages(ch, messageLimit)).filter(m => !m.system).map(serializeMessage);
+        for (const m of list) {
+          for (const [i, a] of m.attachments.entries()) {
+            if (a.size > BACKUP_ATTACHMENT_MAX_BYTES) continue;
+            a.asset = await grab(`att-${m.id}-${i}-${path.basename(a.name)}`, a.url);
+          }
+        }
+        if (list.length) messages[ch.id] = list;
+      } catch (e) { console.warn('message backup failed:', ch.name, e.message); }
+    }
+  }
+
+  const iconURL = guild.iconURL ? guild.iconURL({ size: 512, extension: 'png' }) : null;
+  const meta = { guildId: guild.id, name: guild.name, iconURL, icon: await grab('icon.png', iconURL), savedAt: new Date().toISOString() };
+  return { version: BACKUP_SCHEMA_VERSION, meta, settings, roles, channels, memberRoles, emojis, stickers, webhooks, messages, assets };
+}
+
+// snapshots are stored under <guildId>/<snapshotId>.json with images in <guildId>/<snapshotId>.assets/
+// and a small <guildId>/index.json so listing does not have to download every snapshot
+const BACKUP_RETENTION = Math.max(1, parseInt(process.env.BACKUP_RETENTION || '10', 10) || 10);
+
+// local directory for per-guild files that never leave the host (restore job checkpoints)
+function guildBackupDir(guildId) {
+  return path.join(BACKUP_DIR, String(guildId));
+}
+
+function makeSnapshotId(date = new Date()) {
+  // 2025-08-14T23:29:21.129Z -> 20250814T232921129Z (sortable, filename safe)
+  return date.toISOString().replace(/[-:.]/g, '');
+}
+
+function isValidSnapshotId(id) {
+  return typeof id === 'string' && /^\d{8}T\d{9}Z(-\d+)?$/.test(id);
+}
+
+function snapshotKey(guildId, snapshotId) {
+  return `${guildId}/${snapshotId}.json`;
+}
+
+function snapshotAssetPrefix(guildId, snapshotId) {
+  return `${guildId}/${snapshotId}.assets`;
+}
+
+function backupIndexEntry(id, data) {
+  return {
+    id,
+    savedAt: data.meta?.savedAt || null,
+    label: data.meta?.label || null,
+    roleCount: data.roles?.length ?? 0,
+    channelCount: data.channels?.length ?? 0
+  };
+}
+
+// move the old single-file backup (<guildId>.json) into the snapshot layout; checked once per guild per process
+// (a failed move is retried next time), since list calls also come from autocomplete on every keystroke
+const migratedLegacyBackups = new Set();
+
+async function migrateLegacyBackup(guildId) {
+  if (migratedLegacyBackups.has(guildId)) return;
+  const legacyKey = `${guildId}.json`;
+  const data = await readJson(legacyKey);
+  if (!data) { migratedLegacyBackups.add(guildId); return; }
+  try {
+    const savedAt = data.meta?.savedAt ? new Date(data.meta.savedAt) : new Date();
+    const id = makeSnapshotId(isNaN(savedAt.getTime()) ? new Date() : savedAt);
+    data.meta = { ...(data.meta || {}), snapshotId: id, label: data.meta?.label || 'legacy' };
+    await writeJson(snapshotKey(guildId, id), data);
+    await storage.delete(legacyKey);
+    await rebuildBackupIndex(guildId);
+    migratedLegacyBackups.add(guildId);
+  } catch (e) {
+    console.warn('legacy backup migration failed:', guildId, e.message);
+  }
+}
+
+async function rebuildBackupIndex(guildId) {
+  const list = [];
+  for (const key of await storage.list(`${guildId}/`)) {
+    const m = key.match(/^[^/]+\/([^/]+)\.json$/);
+    if (!m || !isValidSnapshotId(m[1])) continue;
+    const data = await readJson(key);
+    if (data) list.push(backupIndexEntry(m[1], data));
+    else console.warn('broken backup skipped:', key);
+  }
+  // snapshot ids are timestamp based, so a reverse string sort is newest first
+  list.sort((a, b) => b.id.localeCompare(a.id));
+  await writeJson(`${guildId}/index.json`, list);
+  return list;
+}
+
+// saves and index rebuilds for one guild run one after another, so no writer drops another's index entry
+const backupIndexWrites = new Map(); // guildId -> tail of the write chain
+
+function withBackupIndexLock(guildId, fn) {
+  const result = (backupIndexWrites.get(guildId) || Promise.resolve()).then(fn);
+  backupIndexWrites.set(guildId, result.catch(()=>{}));
+  return result;
+}
+
+// the caller holds the index lock
+async function readBackupIndex(guildId) {
+  await migrateLegacyBackup(guildId);
+  const index = await readJson(`${guildId}/index.json`);
+  return Array.isArray(index) ? index : rebuildBackupIndex(guildId);
+}
+
+// the common case (index present, legacy file already checked) doesn't wait behind a running save
+async function listGuildBackups(guildId) {
+  const index = migratedLegacyBackups.has(guildId) ? await readJson(`${guildId}/index.json`) : null;
+  return Array.isArray(index) ? index : withBackupIndexLock(guildId, () => readBackupIndex(guildId));
+}
+
+async function readBackupAssets(guildId, snapshotId) {
+  const prefix = `${snapshotAssetPrefix(guildId, snapshotId)}/`;
+  const assets = {};
+  for (const key of await storage.list(prefix)) {
+    const buf = await storage.get(key);
+    if (buf) assets[key.slice(prefix.length)] = buf;
+  }
+  return assets;
+}
+
+// stored snapshots carry only their source; asset bytes (attachments up to 8MB) are read by key when needed
+async function backupAsset(backup, name) {
+  if (!name) return null;
+  if (backup.assets?.[name]) return backup.assets[name];
+  const source = backup.assetSource;
+  if (!source) return null;
+  return storage.get(`${snapshotAssetPrefix(source.guildId, source.snapshotId)}/${path.basename(name)}`).catch(() => null);
+}
+
+async function deleteGuildBackup(guildId, snapshotId, store = storage) {
+  await store.delete(snapshotKey(guildId, snapshotId));
+  for (const key of await store.list(`${snapshotAssetPrefix(guildId, snapshotId)}/`)) await store.delete(key);
+}
+
+// keep the newest BACKUP_RETENTION unlabeled snapshots; labeled ones are only removed by hand
+async function pruneGuildBackups(guildId, list, store = storage) {
+  const drop = new Set(list.filter(b => !b.label).slice(BACKUP_RETENTION).map(b => b.id));
+  for (const id of drop) {
+    try { await deleteGuildBackup(guildId, id, store); } catch (e) { console.warn('backup prune failed:', guildId, id, e.message); }
+  }
+  return list.filter(b => !drop.has(b.id));
+}
+
+// the id is picked inside the lock so two saves in the same millisecond still get different ones
+function saveGuildBackup(guildId, data, label = null) {
+  return withBackupIndexLock(guildId, async () => {
+    const list = await readBackupIndex(guildId);
+    const baseId = makeSnapshotId(data.meta?.savedAt ? new Date(data.meta.savedAt) : new Date());
+    let id = baseId;
+    for (let n = 1; list.some(b => b.id === id); n++) id = `${baseId}-${n}`;
+    data.meta = { ...(data.meta || {}), snapshotId: id, label: label || null };
+    const { assets, ...json } = data;
+    for (const [name, buf] of Object.entries(assets || {})) await storage.put(`${snapshotAssetPrefix(guildId, id)}/${path.basename(name)}`, buf);
+    const key = snapshotKey(guildId, id);
+    await writeJson(key, json);
+    const next = await pruneGuildBackups(guildId, [backupIndexEntry(id, json), ...list].sort((a, b) => b.id.localeCompare(a.id)));
+    await writeJson(`${guildId}/index.json`, next);
+    return key;
+  });
+}
+
+async function loadGuildBackup(guildId, snapshotId = null, { withAssets = false } = {}) {
+  if (snapshotId && !isValidSnapshotId(snapshotId)) return null;
+  const id = snapshotId || (await listGuildBackups(guildId))[0]?.id;
+  if (!id) return null;
+  const data = await readJson(snapshotKey(guildId, id));
+  if (!data) return null;
+  const backup = { ...checkBackup(data) };
+  // non-enumerable so exports and re-saves never serialize it
+  Object.defineProperty(backup, 'assetSource', { value: { guildId, snapshotId: id } });
+  if (withAssets) backup.assets = await readBackupAssets(guildId, id);
+  return backup;
+}
+
+// ===== Backup schema, validation and file export/import =====
+// version 1 = the original { meta, roles, channels } files (no version field); they are upgraded on load
+const BACKUP_SCHEMA_VERSION = 2;
+const BACKUP_EXPORT_FORMAT = 'nuke2-backup';
+const BACKUP_EXPORT_MAX_BYTES = 8 * 1024 * 1024;
+const BACKUP_IMPORT_MAX_BYTES = BACKUP_EXPORT_MAX_BYTES * 16; // uncompressed
+const SNOWFLAKE_RE = /^\d{15,21}$/;
+const BITFIELD_RE = /^\d+$/;
+
+// returns a list of human readable problems; empty means the backup can be restored
+function validateBackup(data) {
+  const errors = [];
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return ['JSONオブジェクトではありません'];
+  const version = data.version ?? 1;
+  if (!Number.isInteger(version) || version < 1) errors.push(`version が不正です: ${data.version}`);
+  else if (version > BACKUP_SCHEMA_VERSION) errors.push(`このBotより新しい形式です (version ${version} > ${BACKUP_SCHEMA_VERSION})`);
+  if (!data.meta || typeof data.meta !== 'object') errors.push('meta がありません');
+  else if (!SNOWFLAKE_RE.test(String(data.meta.guildId || ''))) errors.push('meta.guildId が不正です');
+  if (!Array.isArray(data.roles)) errors.push('roles が配列ではありません');
+  else data.roles.forEach((r, i) => {
+    if (!r || !SNOWFLAKE_RE.test(String(r.id)) || typeof r.name !== 'string' || !BITFIELD_RE.test(String(r.permissions))) errors.push(`roles[${i}] が不正です`);
+  });
+  if (!Array.isArray(data.channels)) errors.push('channels が配列ではありません');
+  else data.channels.forEach((c, i) => {
+    if (!c || !SNOWFLAKE_RE.test(String(c.id)) || typeof c.name !== 'string' || !Number.isInteger(c.type)) { errors.push(`channels[${i}] が不正です`); return; }
+    if (c.overwrites !== undefined && !Array.isArray(c.overwrites)) { errors.push(`channels[${i}].overwrites が配列ではありません`); return; }
+    (c.overwrites || []).forEach((ow, j) => {
+      if (!ow || !SNOWFLAKE_RE.test(String(ow.id)) || !BITFIELD_RE.test(String(ow.allow)) || !BITFIELD_RE.test(String(ow.deny)) || ![0, 1].includes(ow.type)) {
+        errors.push(`channels[${i}].overwrites[${j}] が不正です`);
+      }
+    });
+  });
+  for (const key of ['emojis', 'stickers', 'webhooks']) {
+    if (data[key] !== undefined && !Array.isArray(data[key])) errors.push(`${key} が配列ではありません`);
+  }
+  for (const key of ['memberRoles', 'messages', 'settings']) {
+    if (data[key] !== undefined && (typeof data[key] !== 'object' || Array.isArray(data[key]))) errors.push(`${key} がオブジェクトではありません`);
+  }
+  // the restore deletes everything before it reaches these, so their contents are checked up front too
+  const isObject = v => !!v && typeof v === 'object' && !Array.isArray(v);
+  if (Array.isArray(data.emojis)) data.emojis.forEach((e, i) => {
+    if (!isObject(e) || typeof e.name !== 'string' || (e.roles !== undefined && !Array.isArray(e.roles))) errors.push(`emojis[${i}] が不正です`);
+  });
+  for (const key of ['stickers', 'webhooks']) {
+    if (Array.isArray(data[key])) data[key].forEach((x, i) => { if (!isObject(x) || typeof x.name !== 'string') errors.push(`${key}[${i}] が不正です`); });
+  }
+  if (isObject(data.memberRoles)) for (const [userId, roleIds] of Object.entries(data.memberRoles)) {
+    if (!SNOWFLAKE_RE.test(userId) || !Array.isArray(roleIds) || !roleIds.every(id => SNOWFLAKE_RE.test(String(id)))) errors.push(`memberRoles.${userId} が不正です`);
+  }
+  if (isObject(data.messages)) for (const [channelId, list] of Object.entries(data.messages)) {
+    if (!Array.isArray(list)) { errors.push(`messages.${channelId} が配列ではありません`); continue; }
+    const bad = list.findIndex(m => !isObject(m) || !isObject(m.author) || !Array.isArray(m.attachments) || (m.embeds !== undefined && !Array.isArray(m.embeds)));
+    if (bad >= 0) errors.push(`messages.${channelId}[${bad}] が不正です`);
+  }
+  return errors;
+}
+
+// fill in fields older versions did not have so the restore code can rely on them
+function upgradeBackup(data) {
+  return {
+    emojis: [],
+    stickers: [],
+    webhooks: [],
+    memberRoles: {},
+    messages: {},
+    ...data,
+    channels: data.channels.map(c => ({ overwrites: [], ...c })),
+    messages: Object.fromEntries(Object.entries(data.messages || {}).map(([channelId, list]) => [channelId, list.map(m => ({ embeds: [], ...m }))])),
+    version: BACKUP_SCHEMA_VERSION
+  };
+}
+
+// validate + upgrade, throwing one readable error instead of failing halfway through a restore
+function checkBackup(data) {
+  const errors = validateBackup(data);
+  if (errors.length) {
+    const more = errors.length > 5 ? `\n…ほか ${errors.length - 5} 件` : '';
+    throw new Error(`バックアップの形式が不正です:\n${errors.slice(0, 5).map(e => `・${e}`).join('\n')}${more}`);
+  }
+  return upgradeBackup(data);
+}
+
+// single file export: the snapshot JSON with assets inlined as base64, gzipped when too large to attach
+function exportBackupFile(backup) {
+  const { assets, ...json } = backup;
+  const payload = {
+    format: BACKUP_EXPORT_FORMAT,
+    ...json,
+    assets: Object.fromEntries(Object.entries(assets || {}).map(([name, buf]) => [name, buf.toString('base64')]))
+  };
+  const base = `backup-${backup.meta.guildId}-${backup.meta.snapshotId || makeSnapshotId()}`;
+  const buf = Buffer.from(JSON.stringify(payload), 'utf-8');
+  if (buf.length <= BACKUP_EXPORT_MAX_BYTES) return { attachment: buf, name: `${base}.json` };
+  return { attachment: zlib.gzipSync(buf), name: `${base}.json.gz` };
+}
+
+function parseBackupFile(buf) {
+  let raw = buf;
+  if (buf[0] === 0x1f && buf[1] === 0x8b) {
+    // a small upload can inflate to gigabytes, so the output is capped
+    try { raw = zlib.gunzipSync(buf, { maxOutputLength: BACKUP_IMPORT_MAX_BYTES }); }
+    catch (e) {
+      if (e.code === 'ERR_BUFFER_TOO_LARGE' || e instanceof RangeError) throw new Error(`展開後のサイズが大きすぎます（${BACKUP_IMPORT_MAX_BYTES / 1024 / 1024}MB まで）`);
+      throw new Error(`gzip を展開できません: ${e.message}`);
+    }
+  }
+  let data;
+  try { data = JSON.parse(raw.toString('utf-8')); }
+  catch (e) { throw new Error(`バックアップファイルを読み込めません（JSONではありません）: ${e.message}`); }
+  if (data && typeof data === 'object' && data.format !== undefined && data.format !== BACKUP_EXPORT_FORMAT) {
+    throw new Error(`未対応のファイル形式です: ${data.format}`);
+  }
+  const { format, assets, ...backup } = data || {};
+  const checked = checkBackup(backup);
+  checked.assets = {};
+  for (const [name, b64] of Object.entries(assets || {})) {
+    if (typeof b64 === 'string') checked.assets[path.basename(name)] = Buffer.from(b64, 'base64');
+  }
+  return checked;
+}
+
+// cross-guild restore: the source @everyone role ID is the source guild ID, so point it (and overwrites on it) at the target
+function adaptBackupForGuild(backup, guild) {
+  const sourceId = backup.meta.guildId;
+  if (sourceId === guild.id) return backup;
+  const swap = id => (id === sourceId ? guild.id : id);
+  return {
+    ...backup,
+    meta: { ...backup.meta, guildId: guild.id, sourceGuildId: sourceId, sourceGuildName: backup.meta.name },
+    roles: backup.roles.map(r => ({ ...r, id: swap(r.id) })),
+    channels: backup.channels.map(c => ({ ...c, overwrites: (c.overwrites || []).map(ow => (ow.type === 0 ? { ...ow, id: swap(ow.id) } : ow)) })),
+    emojis: (backup.emojis || []).map(e => ({ ...e, roles: (e.roles || []).map(swap) })),
+    memberRoles: Object.fromEntries(Object.entries(backup.memberRoles || {}).map(([uid, ids]) => [uid, ids.map(swap)]))
+  };
+}
+
+function formatBackupEntry(b) {
+  const date = b.savedAt ? new Date(b.savedAt).toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo' }) : '日時不明';
+  const label = b.label ? ` 🏷️ ${b.label}` : '';
+  return `\`${b.id}\` ${date} ・ ロール ${b.roleCount} ・ チャンネル ${b.channelCount}${label}`;
+}
+
+// ===== Scheduled backups (per-guild interval or daily time, optional Dropbox copy) =====
+const BACKUP_SCHEDULE_TICK = 60 * 1000;
+const BACKUP_SCHEDULE_MAX_HOURS = 24 * 7;
+const DISCORD_CDN_RE = /^https:\/\/(cdn\.discordapp\.com|media\.discordapp\.net)\//;
+let backupScheduleRunning = false;
+let backupDropboxMirror = null;
+
+// guild settings: backupSchedule = { everyHours | time, messageLimit, dropbox, lastRunAt, lastRunDate, lastResult }
+function backupScheduleDue(schedule, now = new Date()) {
+  if (schedule.everyHours) return !schedule.lastRunAt || now - new Date(schedule.lastRunAt) >= schedule.everyHours * 3600 * 1000;
+  if (schedule.time) {
+    const clock = weatherClock(now);
+    return schedule.lastRunDate !== clock.date && clock.time >= schedule.time;
+  }
+  return false;
+}
+
+// what "unchanged" means: everything but the save time/id/label and the asset bytes, with CDN signatures stripped
+// (attachment links carry expiring query parameters that differ on every fetch)
+function backupFingerprint(data) {
+  const { assets, meta, ...rest } = data;
+  const { savedAt, snapshotId, label, ...stableMeta } = meta || {};
+  return JSON.parse(JSON.stringify({ ...rest, meta: stableMeta }, (k, v) => (typeof v === 'string' && DISCORD_CDN_RE.test(v) ? v.split('?')[0] : v)));
+}
+
+// scheduled snapshots can be copied to Dropbox even when the storage backend is local or S3
+function getBackupDropboxMirror() {
+  if (!dbx) return null;
+  if (!backupDropboxMirror) {
+    const remote = createDropboxStorage(dbx, process.env.DROPBOX_ROOT || '');
+    backupDropboxMirror = STORAGE_ENCRYPTION_KEY ? createEncryptedStorage(remote, STORAGE_ENCRYPTION_KEY) : remote;
+  }
+  return backupDropboxMirror;
+}
+
+// the copy uses the same layout (snapshots, .assets folders and index.json) and retention as the primary storage,
+// so pointing STORAGE_BACKEND=dropbox at it lists and restores these snapshots as-is
+async function mirrorBackupToDropbox(guildId, data) {
+  if (STORAGE_BACKEND === 'dropbox') return true; // every storage write is already mirrored there
+  const mirror = getBackupDropboxMirror();
+  if (!mirror) return false;
+  const { assets, ...json } = data;
+  const id = data.meta.snapshotId;
+  for (const [name, buf] of Object.entries(assets || {})) await mirror.put(`${snapshotAssetPrefix(guildId, id)}/${path.basename(name)}`, buf);
+  await mirror.put(snapshotKey(guildId, id), Buffer.from(JSON.stringify(json, null, 2), 'utf-8'));
+  const indexKey = `${guildId}/index.json`;
+  const raw = await mirror.get(indexKey); // a failed read throws rather than overwriting the index with just this entry
+  let list = [];
+  try { list = raw ? JSON.parse(raw.toString('utf-8')) : []; } catch (e) { console.warn('broken Dropbox backup index:', guildId, e.message); }
+  if (!Array.isArray(list)) list = [];
+  list = [backupIndexEntry(id, json), ...list.filter(b => b.id !== id)].sort((a, b) => b.id.localeCompare(a.id));
+  list = await pruneGuildBackups(guildId, list, mirror);
+  await mirror.put(indexKey, Buffer.from(JSON.stringify(list, null, 2), 'utf-8'));
+  return true;
+}
+
+async function runScheduledBackup(guild, schedule) {
+  const backup = await collectGuildBackup(guild, { messageLimit: schedule.messageLimit ?? BACKUP_MESSAGES_PER_CHANNEL });
+  const [latest] = await listGuildBackups(guild.id);
+  const previous = latest ? await readJson(snapshotKey(guild.id, latest.id)) : null;
+  if (previous && equal(backupFingerprint(previous), backupFingerprint(backup))) return { skipped: true, snapshotId: latest.id };
+  await saveGuildBackup(guild.id, backup, null);
+  let mirrored = false;
+  if (schedule.dropbox) {
+    mirrored = await mirrorBackupToDropbox(guild.id, backup).catch(e => {
+      console.warn('backup dropbox mirror failed', guild.id, e.message || e);
+      return false;
+    });
+  }
+  return { skipped: false, snapshotId: backup.meta.snapshotId, mirrored };
+}
+
+// a snapshot taken while a restore or an attack is in progress would become the "latest" that repairs read from;
+// deletes are watched too, since an attack that hasn't reached its threshold yet is already half way through
+function backupPaused(guildId) {
+  if (runningRestoreJobs.has(guildId)) return true;
+  const now = Date.now();
+  for (const [key, state] of antiNukeActivity) {
+    if (!key.startsWith(`${guildId}:`)) continue;
+    if (now - state.incidentAt < ANTINUKE_INCIDENT_MS) return true;
+    if (state.events.some(e => e.kind.endsWith('Delete') && now - e.at < ANTINUKE_INCIDENT_MS)) return true;
+  }
+  return false;
+}
+
+// guilds are backed up one after another; a tick that finds the previous one still running is skipped
+async function runBackupSchedules() {
+  if (backupScheduleRunning) return;
+  backupScheduleRunning = true;
+  try {
+    for (const guild of client.guilds.cache.values()) {
+      const schedule = (await getSettings('guild', guild.id)).backupSchedule;
+      if (!schedule || !backupScheduleDue(schedule) || backupPaused(guild.id)) continue;
+      const startedAt = new Date();
+      let result;
+      try {
+        result = await runScheduledBackup(guild, schedule);
+      } catch (e) {
+        console.warn('scheduled backup failed', guild.id, e.message || e);
+        result = { error: String(e.message || e).slice(0, 200) };
+      }
+      await updateSettings('guild', guild.id, s => {
+        if (!s.backupSchedule) return; // turned off while this one was running
+        Object.assign(s.backupSchedule, { lastRunAt: startedAt.toISOString(), lastRunDate: weatherClock(startedAt).date, lastResult: result });
+      });
+    }
+  } finally {
+    backupScheduleRunning = false;
+  }
+}
+
+function startBackupScheduler() {
+  setInterval(() => runBackupSchedules().catch(e => console.warn('backup schedule error', e.message || e)), BACKUP_SCHEDULE_TICK);
+}
+
+function formatBackupSchedule(schedule) {
+  if (!schedule) return '⏸️ 自動バックアップは設定されていません';
+  const when = schedule.everyHours ? `${schedule.everyHours}時間ごと` : `毎日 ${schedule.time}（${WEATHER_TZ}）`;
+  const lines = [
+    `⏰ 自動バックアップ: ${when}`,
+    `メッセージ保存: 各チャンネル ${schedule.messageLimit ?? BACKUP_MESSAGES_PER_CHANNEL} 件`,
+    `Dropbox への複製: ${schedule.dropbox ? 'あり' : 'なし'}`
+  ];
+  const last = schedule.lastResult;
+  if (schedule.lastRunAt && last) {
+    const at = `<t:${Math.floor(new Date(schedule.lastRunAt).getTime() / 1000)}:R>`;
+    if (last.error) lines.push(`前回（${at}）: ⚠️ 失敗 ${last.error}`);
+    else if (last.skipped) lines.push(`前回（${at}）: 変更がないため保存を省略（最新は \`${last.snapshotId}\`）`);
+    else lines.push(`前回（${at}）: \`${last.snapshotId}\` を保存${last.mirrored ? '（Dropbox に複製済み）' : ''}`);
+  }
+  return lines.join('\n');
+}
+
+async function handleBackupScheduleCommand(interaction) {
+  const opt = interaction.options;
+  const guildId = interaction.guild.id;
+  const reply = content => interaction.followUp({ content, flags: 64 });
+
+  if (opt.getBoolean('off')) {
+    await updateSettings('guild', guildId, s => { delete s.backupSchedule; });
+    return reply('⏸️ 自動バックアップを停止しました（保存済みのバックアップはそのまま残ります）');
+  }
+  const every = opt.getInteger('every');
+  const time = opt.getString('time');
+  const messages = opt.getInteger('messages');
+  const dropbox = opt.getBoolean('dropbox');
+  const current = (await getSettings('guild', guildId)).backupSchedule || null;
+  if (every == null && time == null && messages == null && dropbox == null) return reply(formatBackupSchedule(current));
+
+  if (every != null && time != null) return reply('⚠️ every と time はどちらか一方だけ指定してください');
+  if (!current && every == null && time == null) return reply('⚠️ every（時間間隔）か time（毎日の時刻）を指定してください');
+  let hhmm = null;
+  if (time != null) {
+    const m = time.match(/^(\d{1,2}):(\d{2})$/);
+    if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return reply('⚠️ 時刻は HH:MM 形式で指定してください（例: 03:30）');
+    hhmm = `${m[1].padStart(2, '0')}:${m[2]}`;
+  }
+  if (dropbox && !dbx) return reply('⚠️ DROPBOX_TOKEN が設定されていないため Dropbox には複製できません');
+
+  const next = await updateSettings('guild', guildId, s => {
+    const schedule = { messageLimit: BACKUP_MESSAGES_PER_CHANNEL, dropbox: false, ...s.backupSchedule };
+    if (every != null) {
+      delete schedule.time;
+      schedule.everyHours = every;
+    }
+    if (hhmm) {
+      delete schedule.everyHours;
+      schedule.time = hhmm;
+      // already past today's slot: start tomorrow instead of running right away
+      const now = weatherClock();
+      schedule.lastRunDate = now.time >= hhmm ? now.date : null;
+    }
+    if (messages != null) schedule.messageLimit = messages;
+    if (dropbox != null) schedule.dropbox = dropbox;
+    schedule.updatedBy = interaction.user.id;
+    s.backupSchedule = schedule;
+  });
+  return reply(`✅ 自動バックアップを設定しました\n${formatBackupSchedule(next.backupSchedule)}`);
+}
+
+// ===== Message transcripts (archived before /nuke and /clear, or on demand via /transcript) =====
+const TRANSCRIPT_MAX_MESSAGES = parseInt(process.env.TRANSCRIPT_MAX_MESSAGES || '5000', 10) || 5000;
+const TRANSCRIPT_LOG_CHANNEL_ID = process.env.TRANSCRIPT_LOG_CHANNEL_ID || null;
+// raw attachment bytes inlined per page; base64 adds a third and the page still has to fit Discord's upload limit
+const TRANSCRIPT_INLINE_MAX_BYTES = 5 * 1024 * 1024;
+
+// newest -> oldest paging with `before`, returned oldest first
+async function fetchChannelMessages(channel, limit = TRANSCRIPT_MAX_MESSAGES) {
+  const out = [];
+  let before;
+  while (out.length < limit) {
+    const page = await channel.messages.fetch({ limit: Math.min(100, limit - out.length), ...(before ? { before } : {}) });
+    if (!page.size) break;
+    out.push(...page.values());
+    before = page.last().id;
+    if (page.size < 100) break;
+  }
+  return out.reverse();
+}
+
+function serializeMessage(m) {
+  return {
+    id: m.id,
+    author: {
+      id: m.author.id,
+      tag: m.author.tag,
+      displayName: m.member?.displayName || m.author.globalName || m.author.username,
+      avatarURL: m.author.displayAvatarURL({ extension: 'png', size: 64 }),
+      bot: !!m.author.bot
+    },
+    content: m.content || '',
+    createdAt: m.createdAt.toISOString(),
+    editedAt: m.editedAt ? m.editedAt.toISOString() : null,
+    pinned: !!m.pinned,
+    replyTo: m.reference?.messageId || null,
+    attachments: [...m.attachments.values()].map(a => ({ name: a.name, url: a.url, size: a.size, contentType: a.contentType || null })),
+    embeds: m.embeds.map(e => e.toJSON())
+  };
+}
+
+function escapeHtml(str) {
+  return String(str ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+// avatars and attachments are inlined as data URIs so the page still renders after the CDN links expire;
+// attachments past the inline budget are listed by name only
+function buildTranscriptHtml(transcript, avatars = {}, files = {}) {
+  const byId = new Map(transcript.messages.map(m => [m.id, m]));
+  const rows = transcript.messages.map(m => {
+    const avatar = avatars[m.author.id] || m.author.avatarURL;
+    const ref = m.replyTo ? byId.get(m.replyTo) : null;
+    const reply = m.replyTo
+      ? `<div class="reply">↪ ${ref ? `<b>${escapeHtml(ref.author.displayName)}</b> ${escapeHtml(ref.content.slice(0, 100))}` : '（元メッセージはアーカイブ外）'}</div>`
+      : '';
+    const attachments = m.attachments.map(a => {
+      const data = files[a.url];
+      if (!data) return `<div class="file">📎 ${escapeHtml(a.name)} (${a.size} bytes・未保存)</div>`;
+      return (a.contentType || '').startsWith('image/')
+        ? `<img class="att" src="${escapeHtml(data)}" alt="${escapeHtml(a.name)}">`
+        : `<div class="file">📎 <a download="${escapeHtml(a.name)}" href="${escapeHtml(data)}">${escapeHtml(a.name)}</a> (${a.size} bytes)</div>`;
+    }).join('');
+    const embeds = m.embeds.map(e => `<div class="embed"${e.color ? ` style="border-color:#${e.color.toString(16).padStart(6, '0')}"` : ''}>`
+      + (e.title ? `<div class="et">${escapeHtml(e.title)}</div>` : '')
+      + (e.description ? `<div>${escapeHtml(e.description)}</div>` : '')
+      + (e.fields || []).map(f => `<div><b>${escapeHtml(f.name)}</b><br>${escapeHtml(f.value)}</div>`).join('')
+      + '</div>').join('');
+    return `<div class="msg" id="m${m.id}">${reply}<img class="av" src="${escapeHtml(avatar)}" alt="">`
+      + `<div class="body"><span class="name">${escapeHtml(m.author.displayName)}</span>${m.author.bot ? ' <span class="bot">BOT</span>' : ''}`
+      + ` <span class="time">${escapeHtml(new Date(m.createdAt).toLocaleString('ja-JP', { timeZone: 'Asia/Tokyo' }))}${m.editedAt ? '（編集済）' : ''}${m.pinned ? ' 📌' : ''}</span>`
+      + `<div class="content">${escapeHtml(m.content)}</div>${attachments}${embeds}</div></div>`;
+  }).join('\n');
+  return `<!DOCTYPE html>
+<html lang="ja"><head><meta charset="utf-8"><title>#${escapeHtml(transcript.channel.name)} transcript</title>
+<style>
+body{background:#313338;color:#dbdee1;font-family:sans-serif;margin:0;padding:16px}
+h1{font-size:18px}.meta{color:#949ba4;font-size:12px;margin-bottom:16px}
+.msg{position:relative;padding:6px 0 6px 56px;min-height:40px}.av{position:absolute;left:0;top:8px;width:40px;height:40px;border-radius:50%}
+.name{font-weight:bold;color:#f2f3f5}.bot{background:#5865f2;color:#fff;font-size:10px;padding:1px 4px;border-radius:3px}
+.time{color:#949ba4;font-size:12px}.content{white-space:pre-wrap;word-break:break-word}
+.reply{color:#949ba4;font-size:12px;margin-bottom:2px}.att{max-width:400px;max-height:300px;display:block;margin-top:4px}
+.file{margin-top:4px}.embed{border-left:4px solid #1e1f22;background:#2b2d31;padding:8px;margin-top:4px;max-width:520px}.et{font-weight:bold}
+a{color:#00a8fc}
+</style></head><body>
+<h1>#${escapeHtml(transcript.channel.name)}</h1>
+<div class="meta">${escapeHtml(transcript.guild.name)} ・ ${transcript.messages.length} 件 ・ ${escapeHtml(transcript.reason)} ・ ${escapeHtml(transcript.createdAt)}</div>
+${rows}
+</body></html>
+`;
+}
+
+// stores <guildId>/transcripts/<channelId>-<timestamp>.{json,html}
+async function saveTranscript(channel, messages, reason) {
+  const transcript = {
+    guild: { id: channel.guild.id, name: channel.guild.name },
+    channel: { id: channel.id, name: channel.name },
+    reason,
+    createdAt: new Date().toISOString(),
+    messages: messages.map(serializeMessage)
+  };
+  const avatars = {};
+  for (const m of transcript.messages) {
+    if (avatars[m.author.id] !== undefined) continue;
+    try { avatars[m.author.id] = `data:image/png;base64,${(await downloadBuffer(m.author.avatarURL)).toString('base64')}`; }
+    catch { avatars[m.author.id] = null; }
+  }
+  const files = {};
+  let budget = TRANSCRIPT_INLINE_MAX_BYTES;
+  for (const a of transcript.messages.flatMap(m => m.attachments)) {
+    if (a.size > budget || files[a.url]) continue;
+    try {
+      const buf = await downloadBuffer(a.url);
+      files[a.url] = `data:${a.contentType || 'application/octet-stream'};base64,${buf.toString('base64')}`;
+      budget -= buf.length;
+    } catch (e) { console.warn('transcript attachment download failed:', a.name, e.message); }
+  }
+  const name = `${channel.id}-${makeSnapshotId()}`;
+  const json = Buffer.from(JSON.stringify(transcript, null, 2), 'utf-8');
+  const html = Buffer.from(buildTranscriptHtml(transcript, avatars, files), 'utf-8');
+  await storage.put(`${channel.guild.id}/transcripts/${name}.json`, json);
+  await storage.put(`${channel.guild.id}/transcripts/${name}.html`, html);
+  return { transcript, json, html, jsonName: `${name}.json`, htmlName: `${name}.html` };
+}
+
+// post the HTML transcript to the given (or configured) log channel; failures only get logged
+async function postTranscriptToLog(guild, saved, logChannel = null) {
+  const target = logChannel || (TRANSCRIPT_LOG_CHANNEL_ID ? guild.channels.cache.get(TRANSCRIPT_LOG_CHANNEL_ID) : null);
+  if (!target?.isTextBased?.()) return false;
+  try {
+    await target.send({
+      content: `🗂️ #${saved.transcript.channel.name} のトランスクリプト（${saved.transcript.reason}・${saved.transcript.messages.length}件）`,
+      files: [{ attachment: saved.html, name: saved.htmlName }]
+    });
+    return true;
+  } catch (e) {
+    console.warn('transcript log post failed:', e.message);
+    return false;
+  }
+}
+
+// ===== Settings store (user / guild scopes) =====
+// documents live at settings/users/<id>.json and settings/guilds/<id>.json as
+// { schemaVersion, updatedAt, data }; callers get the cached data and change it only through updateSettings
+const SETTINGS_VERSION = 1;
+const SETTINGS_PREFIXES = { user: 'settings/users', guild: 'settings/guilds' };
+// SETTINGS_MIGRATIONS[n] upgrades data from schema n to n + 1
+const SETTINGS_MIGRATIONS = [
+  data => data // 0 -> 1: bare objects written before documents carried a version
+];
+const SETTINGS_MIGRATION_KEY = 'settings/migrations.json';
+const LEGACY_WEATHER_DIR = './weather';
+const LEGACY_WEATHER_PREFS_DIR = './weatherPrefs';
+const settingsCache = new Map(); // `${scope}:${id}` -> data
+const settingsWrites = new Map(); // `${scope}:${id}` -> tail of the write chain
+
+function settingsKey(scope, id) {
+  if (!SETTINGS_PREFIXES[scope]) throw new Error(`unknown settings scope: ${scope}`);
+  if (!/^\d+$/.test(String(id))) throw new Error(`invalid ${scope} id: ${id}`);
+  return `${SETTINGS_PREFIXES[scope]}/${id}.json`;
+}
+
+function upgradeSettings(doc) {
+  let version = Number.isInteger(doc?.schemaVersion) ? doc.schemaVersion : 0;
+  let data = version ? (doc.data || {}) : (doc || {});
+  if (version > SETTINGS_VERSION) {
+    console.warn(`settings schema ${version} is newer than this bot (${SETTINGS_VERSION}); reading as-is`);
+    return data;
+  }
+  while (version < SETTINGS_VERSION) data = SETTINGS_MIGRATIONS[version++](data);
+  return data;
+}
+
+async function getSettings(scope, id) {
+  const cacheKey = `${scope}:${id}`;
+  if (!settingsCache.has(cacheKey)) settingsCache.set(cacheKey, upgradeSettings(await readJson(settingsKey(scope, id))));
+  return settingsCache.get(cacheKey);
+}
+
+// every cached document of a scope as [id, data]; warmSettingsCache loads all stored ones at startup,
+// so scheduled features can walk this instead of keeping lists of their own
+function cachedSettings(scope) {
+  const prefix = `${scope}:`;
+  return [...settingsCache].filter(([key]) => key.startsWith(prefix)).map(([key, data]) => [key.slice(prefix.length), data]);
+}
+
+// writes to one document run one after another so concurrent updates can't drop each other;
+// the cache only changes once the write has landed
+async function updateSettings(scope, id, mutate) {
+  const cacheKey = `${scope}:${id}`;
+  const run = async () => {
+    const next = structuredClone(await getSettings(scope, id));
+    await mutate(next);
+    await writeJson(settingsKey(scope, id), { schemaVersion: SETTINGS_VERSION, updatedAt: new Date().toISOString(), data: next });
+    settingsCache.set(cacheKey, next);
+    return next;
+  };
+  const result = (settingsWrites.get(cacheKey) || Promise.resolve()).then(run);
+  settingsWrites.set(cacheKey, result.catch(()=>{}));
+  return result;
+}
+
+// load every stored document so scheduled features don't wait on storage for the first lookup
+async function warmSettingsCache() {
+  let count = 0;
+  for (const [scope, prefix] of Object.entries(SETTINGS_PREFIXES)) {
+    for (const key of await storage.list(`${prefix}/`)) {
+      const m = key.match(/\/(\d+)\.json$/);
+      if (!m) continue;
+      await getSettings(scope, m[1]).catch(e => console.warn('settings load failed', key, e.message || e));
+      count++;
+    }
+  }
+  return count;
+}
+
+function readLegacyJsonFile(file) {
+  try {
+    const text = fs.readFileSync(file, 'utf-8').trim();
+    return text ? JSON.parse(text) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function listLegacyFiles(dir, pattern) {
+  try {
+    return fs.readdirSync(dir).map(name => [name.match(pattern)?.[1], path.join(dir, name)]).filter(([id]) => id);
+  } catch (e) {
+    return [];
+  }
+}
+
+// userId -> location from every format older versions used; earlier sources win
+async function collectLegacyWeatherPrefs() {
+  const found = new Map();
+  const take = (id, value) => {
+    if (typeof value === 'string' && value.trim() && !found.has(id)) found.set(id, value.trim());
+  };
+  // what earlier versions wrote through the storage backend (backups/weather/weather_<id>.json)
+  for (const key of await storage.list('weather/')) {
+    const m = key.match(/^weather\/weather_(\d+)\.json$/);
+    if (m) take(m[1], (await readJson(key))?.pref);
+  }
+  // files kept next to the bot by even older versions
+  for (const [id, file] of listLegacyFiles(LEGACY_WEATHER_DIR, /^weather_(\d+)\.json$/)) take(id, readLegacyJsonFile(file)?.pref);
+  for (const [id, file] of listLegacyFiles(LEGACY_WEATHER_DIR, /^(\d+)\.json$/)) take(id, readLegacyJsonFile(file)?.location);
+  for (const [id, file] of listLegacyFiles(LEGACY_WEATHER_PREFS_DIR, /^(\d+)\.json$/)) take(id, readLegacyJsonFile(file)?.city);
+  return found;
+}
+
+// one-time moves of older per-feature files into the settings store; legacy files are left in place
+async function migrateLegacySettings() {
+  const done = (await readJson(SETTINGS_MIGRATION_KEY)) || {};
+  if (!done.legacyWeather) {
+    const prefs = await collectLegacyWeatherPrefs();
+    for (const [userId, location] of prefs) {
+      await updateSettings('user', userId, s => {
+        if (!s.weather?.location) s.weather = { ...s.weather, location };
+      });
+    }
+    done.legacyWeather = new Date().toISOString();
+    console.log(`settings: migrated ${prefs.size} legacy weather locations`);
+  }
+  if (!done.legacyAI) {
+    let count = 0;
+    for (const key of await storage.list('ai/')) {
+      const m = key.match(/^ai\/guild_(\d+)\.json$/);
+      const legacy = m && await readJson(key);
+      if (!legacy?.provider) continue;
+      await updateSettings('guild', m[1], s => { if (!s.ai) s.ai = legacy; });
+      count++;
+    }
+    done.legacyAI = new Date().toISOString();
+    if (count) console.log(`settings: migrated ${count} guild AI settings`);
+  }
+  if (!done.legacyWeatherSubs) {
+    const legacy = await readJson(WEATHER_SUBS_KEY);
+    const byUser = new Map();
+    for (const kind of ['daily', 'alerts']) {
+      for (const sub of Array.isArray(legacy?.[kind]) ? legacy[kind] : []) {
+        if (!/^\d+$/.test(String(sub?.userId))) continue;
+        const subs = byUser.get(sub.userId) || { daily: [], alerts: [] };
+        subs[kind].push(sub);
+        byUser.set(sub.userId, subs);
+      }
+    }
+    for (const [userId, subs] of byUser) {
+      await updateSettings('user', userId, s => { if (!s.weatherSubs) s.weatherSubs = subs; });
+    }
+    done.legacyWeatherSubs = new Date().toISOString();
+    if (byUser.size) console.log(`settings: migrated weather subscriptions of ${byUser.size} users`);
+  }
+  if (!done.legacyLeaderboards) {
+    let count = 0;
+    for (const key of await storage.list('quizzes/leaderboard/')) {
+      const m = key.match(/^quizzes\/leaderboard\/(\d+)\.json$/);
+      const legacy = m && await readJson(key);
+      if (!legacy?.scores || typeof legacy.scores !== 'object') continue;
+      await updateSettings('guild', m[1], s => { if (!s.quizLeaderboard) s.quizLeaderboard = legacy.scores; });
+      count++;
+    }
+    done.legacyLeaderboards = new Date().toISOString();
+    if (count) console.log(`settings: migrated ${count} quiz leaderboards`);
+  }
+  if (!done.legacyPlaylists) {
+    let count = 0;
+    for (const key of await storage.list('playlists/')) {
+      const m = key.match(/^playlists\/(guild|user)_(\d+)\.json$/);
+      const legacy = m && await readJson(key);
+      if (!legacy?.playlists || typeof legacy.playlists !== 'object') continue;
+      await updateSettings(m[1], m[2], s => { if (!s.playlists) s.playlists = legacy.playlists; });
+      count++;
+    }
+    done.legacyPlaylists = new Date().toISOString();
+    if (count) console.log(`settings: migrated ${count} playlist files`);
+  }
+  if (!done.legacyQuizBanks) {
+    let count = 0;
+    for (const key of await storage.list('quizzes/')) {
+      const m = key.match(/^quizzes\/guild_(\d+)\.json$/);
+      const legacy = m && await readJson(key);
+      if (!Array.isArray(legacy)) continue;
+      await updateSettings('guild', m[1], s => { if (!Array.isArray(s.quizzes)) s.quizzes = normalizeQuizList(legacy, m[1]); });
+      count++;
+    }
+    done.legacyQuizBanks = new Date().toISOString();
+    if (count) console.log(`settings: migrated ${count} guild quiz banks`);
+  }
+  await writeJson(SETTINGS_MIGRATION_KEY, done);
+}
+
+// weather prefs save/load (user settings: weather.place / units / lang)
+// weather.location is the plain text older versions saved; it is geocoded on first use
+const WEATHER_UNITS = { metric: { label: '摂氏 (°C)', temp: '°C' }, imperial: { label: '華氏 (°F)', temp: '°F' }, standard: { label: 'ケルビン (K)', temp: 'K' } };
+const WEATHER_LANGS = { ja: '日本語', en: 'English', ko: '한국어', zh_cn: '简体中文', zh_tw: '繁體中文', fr: 'Français', de: 'Deutsch', es: 'Español' };
+
+function convertTemperature(value, from, to) {
+  if (from === to) return value;
+  const kelvin = from === 'imperial' ? (value - 32) * 5 / 9 + 273.15 : from === 'metric' ? value + 273.15 : value;
+  return to === 'imperial' ? (kelvin - 273.15) * 9 / 5 + 32 : to === 'metric' ? kelvin - 273.15 : kelvin;
+}
+
+async function saveUserWeatherPlace(userId, place) {
+  await updateSettings('user', userId, s => { s.weather = { ...s.weather, place, location: place.name }; });
+}
+
+async function saveUserWeatherOptions(userId, { units, lang }) {
+  await updateSettings('user', userId, s => {
+    s.weather = { ...s.weather, ...(units ? { units } : {}), ...(lang ? { lang } : {}) };
+  });
+}
+
+async function loadUserWeather(userId) {
+  const weather = (await getSettings('user', userId)).weather || {};
+  let place = weather.place || null;
+  if (!place && weather.location) {
+    const [first] = await geocodeLocation(weather.location).catch(() => []);
+    if (first) {
+      place = first;
+      await saveUserWeatherPlace(userId, place).catch(e => console.warn('天気設定の保存失敗：', e.message || e));
+    }
+  }
+  return { place, units: WEATHER_UNITS[weather.units] ? weather.units : 'metric', lang: WEATHER_LANGS[weather.lang] ? weather.lang : 'ja' };
+}
+
+// ===== Weather fetch (OpenWeatherMap) =====
+const OPENWEATHER_BASE_URL = (process.env.OPENWEATHER_BASE_URL || 'https://api.openweathermap.org/data/2.5').replace(/\/+$/, '');
+const OPENWEATHER_GEO_URL = (process.env.OPENWEATHER_GEO_URL || OPENWEATHER_BASE_URL.replace(/\/data\/2\.5$/, '/geo/1.0')).replace(/\/+$/, '');
+const WEATHER_TZ = process.env.WEATHER_TZ || 'Asia/Tokyo';
+const WEATHER_ALERT_INTERVAL = (parseInt(process.env.WEATHER_ALERT_INTERVAL_MIN || '60', 10) || 60) * 60 * 1000;
+const WEATHER_ALERT_HOURS = 12; // how far ahead alerts look
+const WEATHER_SUBS_KEY = 'weather/subscriptions.json'; // where older versions kept every subscription; migrated into user settings
+const WEEKDAYS = ['日', '月', '火', '水', '木', '金', '土'];
+// prefecture -> capital city coordinates, so the common case never needs a geocoding call
+const JP_PREFECTURES = [
+  ['北海道', 'Hokkaido', 43.064, 141.347], ['青森県', 'Aomori', 40.824, 140.740], ['岩手県', 'Iwate', 39.704, 141.153],
+  ['宮城県', 'Miyagi', 38.269, 140.872], ['秋田県', 'Akita', 39.719, 140.102], ['山形県', 'Yamagata', 38.240, 140.363],
+  ['福島県', 'Fukushima', 37.750, 140.468], ['茨城県', 'Ibaraki', 36.342, 140.447], ['栃木県', 'Tochigi', 36.566, 139.884],
+  ['群馬県', 'Gunma', 36.391, 139.061], ['埼玉県', 'Saitama', 35.857, 139.649], ['千葉県', 'Chiba', 35.605, 140.123],
+  ['東京都', 'Tokyo', 35.690, 139.692], ['神奈川県', 'Kanagawa', 35.448, 139.642], ['新潟県', 'Niigata', 37.902, 139.023],
+  ['富山県', 'Toyama', 36.695, 137.211], ['石川県', 'Ishikawa', 36.594, 136.626], ['福井県', 'Fukui', 36.065, 136.222],
+  ['山梨県', 'Yamanashi', 35.664, 138.568], ['長野県', 'Nagano', 36.651, 138.181], ['岐阜県', 'Gifu', 35.391, 136.722],
+  ['静岡県', 'Shizuoka', 34.977, 138.383], ['愛知県', 'Aichi', 35.180, 136.907], ['三重県', 'Mie', 34.730, 136.509],
+  ['滋賀県', 'Shiga', 35.004, 135.869], ['京都府', 'Kyoto', 35.021, 135.756], ['大阪府', 'Osaka', 34.686, 135.520],
+  ['兵庫県', 'Hyogo', 34.691, 135.183], ['奈良県', 'Nara', 34.685, 135.833], ['和歌山県', 'Wakayama', 34.226, 135.168],
+  ['鳥取県', 'Tottori', 35.504, 134.238], ['島根県', 'Shimane', 35.472, 133.051], ['岡山県', 'Okayama', 34.662, 133.935],
+  ['広島県', 'Hiroshima', 34.396, 132.459], ['山口県', 'Yamaguchi', 34.186, 131.471], ['徳島県', 'Tokushima', 34.066, 134.559],
+  ['香川県', 'Kagawa', 34.340, 134.043], ['愛媛県', 'Ehime', 33.842, 132.766], ['高知県', 'Kochi', 33.560, 133.531],
+  ['福岡県', 'Fukuoka', 33.607, 130.418], ['佐賀県', 'Saga', 33.249, 130.299], ['長崎県', 'Nagasaki', 32.745, 129.874],
+  ['熊本県', 'Kumamoto', 32.790, 130.742], ['大分県', 'Oita', 33.238, 131.613], ['宮崎県', 'Miyazaki', 31.911, 131.424],
+  ['鹿児島県', 'Kagoshima', 31.560, 130.558], ['沖縄県', 'Okinawa', 26.212, 127.681]
+];
+
+function findPrefecture(text) {
+  const t = text.normalize('NFKC').trim().toLowerCase();
+  const bare = t.replace(/[都道府県]$/, '');
+  return JP_PREFECTURES.find(([ja, en]) => {
+    const stem = ja.replace(/[都府県]$/, ''); // "京都" is both a stem and a full name ending in 都
+    return ja === t || stem === t || stem === bare || en.toLowerCase() === t;
+  }) || null;
+}
+
+function placeLabel(place) {
+  return [place.name, place.state, place.country].filter(Boolean).join(', ');
+}
+
+async function owmFetch(url) {
+  if (!OPENWEATHER_KEY) throw new Error('OPENWEATHER_KEY is not set');
+  const res = await fetch(`${url}${url.includes('?') ? '&' : '?'}appid=${OPENWEATHER_KEY}`);
+  if (!res.ok) {
+    const txt = await res.text().catch(()=>null);
+    throw new Error(`OpenWeather error: ${res.status} ${res.statusText} ${txt}`);
+  }
+  return res.json();
+}
+
+function toPlace(g, query) {
+  return { name: g.local_names?.ja || g.name, lat: g.lat, lon: g.lon, country: g.country || null, state: g.state || null, query };
+}
+
+// "35.68,139.76", a postal code ("100-0001" or "10001,US"), a prefecture, or any place name;
+// returns every candidate so the caller can ask which one was meant
+async function geocodeLocation(text) {
+  const query = text.normalize('NFKC').trim();
+  const coords = query.match(/^(-?\d{1,2}(?:\.\d+)?)\s*,\s*(-?\d{1,3}(?:\.\d+)?)$/);
+  if (coords) {
+    const lat = Number(coords[1]), lon = Number(coords[2]);
+    if (Math.abs(lat) > 90 || Math.abs(lon) > 180) throw new Error('緯度・経度の範囲が正しくありません');
+    const [g] = await owmFetch(`${OPENWEATHER_GEO_URL}/reverse?lat=${lat}&lon=${lon}&limit=1`).catch(() => []);
+    return [{ ...(g ? toPlace(g, query) : { name: `${lat}, ${lon}`, country: null, state: null, query }), lat, lon }];
+  }
+  const pref = findPrefecture(query);
+  if (pref) return [{ name: pref[0], lat: pref[2], lon: pref[3], country: 'JP', state: null, query }];
+  const postal = query.replace(/^〒\s*/, '').match(/^(\d{3})-?(\d{4})$/) || query.match(/^([\w -]*\d[\w -]*),\s*([A-Za-z]{2})$/);
+  if (postal) {
+    const zip = postal[2].length === 4 && /^\d+$/.test(postal[2]) ? `${postal[1]}-${postal[2]},JP` : `${postal[1].trim()},${postal[2].toUpperCase()}`;
+    const g = await owmFetch(`${OPENWEATHER_GEO_URL}/zip?zip=${encodeURIComponent(zip)}`);
+    return [{ name: g.name, lat: g.lat, lon: g.lon, country: g.country || null, state: null, query }];
+  }
+  const found = await owmFetch(`${OPENWEATHER_GEO_URL}/direct?q=${encodeURIComponent(query)}&limit=5`);
+  // the API often lists the same town more than once with slightly different coordinates
+  const seen = new Set();
+  return found.map(g => toPlace(g, query)).filter(p => {
+    const key = placeLabel(p);
+    return !seen.has(key) && seen.add(key);
+  });
+}
+
+// resolve a typed location for a slash command; several matches are offered in a select menu
+async function pickPlace(interaction, text) {
+  let candidates;
+  try {
+    candidates = await geocodeLocation(text);
+  } catch (e) {
+    console.error('geocode error', e);
+    await interaction.followUp({ content: `⚠️ 場所を調べられませんでした: ${e.message}`, flags: 64 }).catch(()=>{});
+    return null;
+  }
+  if (!candidates.length) {
+    await interaction.followUp({ content: `⚠️ 「${text}」が見つかりませんでした（市区町村名・郵便番号・緯度,経度 でも指定できます）`, flags: 64 }).catch(()=>{});
+    return null;
+  }
+  if (candidates.length === 1) return candidates[0];
+  const menu = new StringSelectMenuBuilder()
+    .setCustomId('weather:place')
+    .setPlaceholder('場所を選んでください')
+    .addOptions(candidates.map((p, i) => ({ label: placeLabel(p).slice(0, 100), description: `${p.lat.toFixed(2)}, ${p.lon.toFixed(2)}`, value: String(i) })));
+  const prompt = await interaction.followUp({ content: `📍 「${text}」に複数の候補があります`, components: [new ActionRowBuilder().addComponents(menu)], flags: 64 });
+  const choice = await prompt.awaitMessageComponent({ filter: i => i.user.id === interaction.user.id, time: 60000 }).catch(() => null);
+  if (!choice) {
+    await interaction.editReply({ message: prompt, content: '⌛ 選択がなかったため中止しました', components: [] }).catch(()=>{});
+    return null;
+  }
+  const place = candidates[Number(choice.values[0])];
+  await choice.update({ content: `📍 ${placeLabel(place)}`, components: [] }).catch(()=>{});
+  return place;
+}
+
+async function owmRequest(endpoint, place, { units = 'metric', lang = 'ja' } = {}) {
+  return owmFetch(`${OPENWEATHER_BASE_URL}/${endpoint}?lat=${place.lat}&lon=${place.lon}&units=${units}&lang=${lang}`);
+}
+
+async function fetchWeather(place, options = {}) {
+  const data = await owmRequest('weather', place, options);
+  const unit = WEATHER_UNITS[options.units || 'metric'].temp;
+  const desc = data.weather?.[0]?.description ?? '不明';
+  const temp = data.main?.temp ?? '?';
+  const hum = data.main?.humidity ?? '?';
+  return `🌤 ${place.name || data.name} の天気: ${desc}、気温 ${temp}${unit}、湿度 ${hum}%`;
+}
+
+function weatherEmoji(icon = '') {
+  const code = icon.slice(0, 2);
+  return { '01': '☀️', '02': '🌤', '03': '⛅', '04': '☁️', '09': '🌧', '10': '🌦', '11': '⛈', '13': '❄️', '50': '🌫' }[code] || '🌡';
+}
+
+// shift a forecast timestamp into the city's own clock (city.timezone is the UTC offset in seconds)
+function forecastLocal(dt, offset) {
+  const d = new Date((dt + offset) * 1000);
+  return {
+    date: d.toISOString().slice(0, 10),
+    label: `${d.getUTCMonth() + 1}/${d.getUTCDate()}(${WEEKDAYS[d.getUTCDay()]})`,
+    time: d.toISOString().slice(11, 16)
+  };
+}
+
+// /forecast returns 3-hour steps for 5 days: the next 24h as-is, then one line per day
+function summarizeForecast(data, place = null, units = 'metric') {
+  const offset = data.city?.timezone || 0;
+  const steps = (data.list || []).map(s => ({
+    ...forecastLocal(s.dt, offset),
+    dt: s.dt,
+    temp: s.main?.temp,
+    desc: s.weather?.[0]?.description ?? '不明',
+    icon: s.weather?.[0]?.icon,
+    pop: Math.round((s.pop || 0) * 100)
+  }));
+  const days = new Map();
+  for (const s of steps) {
+    const day = days.get(s.date) || { label: s.label, min: Infinity, max: -Infinity, pop: 0, descs: new Map() };
+    day.min = Math.min(day.min, s.temp);
+    day.max = Math.max(day.max, s.temp);
+    day.pop = Math.max(day.pop, s.pop);
+    day.descs.set(`${s.icon?.slice(0, 2)}|${s.desc}`, (day.descs.get(`${s.icon?.slice(0, 2)}|${s.desc}`) || 0) + 1);
+    days.set(s.date, day);
+  }
+  return {
+    city: place?.name || data.city?.name || '?',
+    unit: WEATHER_UNITS[units].temp,
+    hourly: steps.slice(0, 8),
+    daily: [...days.values()].slice(0, 5).map(d => {
+      const [icon, desc] = [...d.descs.entries()].sort((a, b) => b[1] - a[1])[0][0].split('|');
+      return { label: d.label, min: d.min, max: d.max, pop: d.pop, icon, desc };
+    })
+  };
+}
+
+async function fetchForecast(place, options = {}) {
+  return summarizeForecast(await owmRequest('forecast', place, options), place, options.units || 'metric');
+}
+
+function buildForecastEmbed(forecast) {
+  const hourly = forecast.hourly.map(s => `\`${s.time}\` ${weatherEmoji(s.icon)} ${s.desc} ${s.temp.toFixed(1)}${forecast.unit} ☔${s.pop}%`);
+  return new EmbedBuilder()
+    .setTitle(`📅 ${forecast.city} の天気予報`)
+    .addFields(
+      { name: 'この先24時間（3時間ごと）', value: hourly.join('\n') || 'データなし' },
+      ...forecast.daily.map(d => ({
+        name: d.label,
+        value: `${weatherEmoji(d.icon)} ${d.desc}\n${Math.round(d.min)}〜${Math.round(d.max)}${forecast.unit} ☔${d.pop}%`,
+        inline: true
+      }))
+    )
+    .setFooter({ text: 'OpenWeather' });
+}
+
+// ===== Weather subscriptions (daily posts and alerts) =====
+// user settings: weatherSubs = { daily: [], alerts: [] }, one entry per target (DM or channel) of each kind
+function weatherSubscribers() {
+  return cachedSettings('user')
+    .map(([userId, data]) => [userId, { daily: data.weatherSubs?.daily || [], alerts: data.weatherSubs?.alerts || [] }])
+    .filter(([, subs]) => subs.daily.length || subs.alerts.length);
+}
+
+function sameWeatherTarget(a, b) {
+  return (a.channelId || null) === (b.channelId || null);
+}
+
+async function updateWeatherSubscriptions(userId, mutate) {
+  let result;
+  await updateSettings('user', userId, s => {
+    s.weatherSubs = { daily: [], alerts: [], ...s.weatherSubs };
+    result = mutate(s.weatherSubs);
+  });
+  return result;
+}
+
+function weatherClock(date = new Date()) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone: WEATHER_TZ, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date).map(p => [p.type, p.value]));
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+}
+
+// a subscription either posts to a channel or DMs its owner
+async function sendWeatherPost(sub, payload) {
+  if (sub.channelId) {
+    const channel = await client.channels.fetch(sub.channelId).catch(() => null);
+    if (!channel) throw new Error(`channel ${sub.channelId} not found`);
+    return channel.send(payload);
+  }
+  const user = await client.users.fetch(sub.userId);
+  return user.send(payload);
+}
+
+// the subscription's own place wins; otherwise the owner's saved one. Units and language follow the owner
+async function subscriptionWeather(sub) {
+  const owner = await loadUserWeather(sub.userId);
+  let place = sub.place || null;
+  if (!place && sub.pref) [place] = await geocodeLocation(sub.pref).catch(() => []);
+  return { ...owner, place: place || owner.place };
+}
+
+// daily posts go out on the first tick at or after the chosen time, once per local day
+async function runDailyWeatherPosts() {
+  const now = weatherClock();
+  for (const [userId, subs] of weatherSubscribers()) {
+    const due = subs.daily.filter(sub => sub.lastSent !== now.date && now.time >= sub.time);
+    if (!due.length) continue;
+    // marked sent first so a failing post isn't retried every minute
+    await updateWeatherSubscriptions(userId, s => {
+      s.daily.forEach(sub => { if (due.some(d => sameWeatherTarget(d, sub))) sub.lastSent = now.date; });
+    });
+    for (const sub of due) await sendDailyWeatherPost(sub, now);
+  }
+}
+
+async function sendDailyWeatherPost(sub, now) {
+  try {
+    const { place, units, lang } = await subscriptionWeather(sub);
+    if (!place) return;
+    const forecast = await fetchForecast(place, { units, lang });
+    await sendWeatherPost(sub, { content: `☀️ おはようございます！ ${now.date} の天気予報です`, embeds: [buildForecastEmbed(forecast)] });
+  } catch (e) {
+    console.warn('daily weather post failed', sub.userId, sub.channelId, e.message || e);
+  }
+}
+
+// each alert kind fires at most once per local day per subscription
+async function runWeatherAlerts() {
+  const today = weatherClock().date;
+  for (const [userId, subs] of weatherSubscribers()) {
+    for (const sub of subs.alerts) await checkWeatherAlert(userId, sub, today);
+  }
+}
+
+async function checkWeatherAlert(userId, sub, today) {
+  try {
+    // thresholds keep the units they were entered in (tempUnits); the forecast follows the owner's current units
+    const { place, units, lang } = await subscriptionWeather(sub);
+    if (!place) return;
+    const forecast = await fetchForecast(place, { units, lang });
+    const threshold = t => (t == null ? null : Math.round(convertTemperature(t, sub.tempUnits || units, units) * 10) / 10);
+    const tempAbove = threshold(sub.tempAbove), tempBelow = threshold(sub.tempBelow);
+    const horizon = Date.now() / 1000 + WEATHER_ALERT_HOURS * 3600;
+    const upcoming = forecast.hourly.filter(s => s.dt <= horizon);
+    const triggers = [];
+    const rainy = sub.rain != null && upcoming.find(s => s.pop >= sub.rain);
+    if (rainy) triggers.push(['rain', `☔ ${rainy.time} ごろ降水確率 ${rainy.pop}%（${rainy.desc}）`]);
+    const hot = tempAbove != null && upcoming.find(s => s.temp >= tempAbove);
+    if (hot) triggers.push(['tempAbove', `🥵 ${hot.time} ごろ ${hot.temp.toFixed(1)}${forecast.unit}（${tempAbove}${forecast.unit} 以上）`]);
+    const cold = tempBelow != null && upcoming.find(s => s.temp <= tempBelow);
+    if (cold) triggers.push(['tempBelow', `🥶 ${cold.time} ごろ ${cold.temp.toFixed(1)}${forecast.unit}（${tempBelow}${forecast.unit} 以下）`]);
+    const fresh = triggers.filter(([kind]) => sub.lastAlert?.[kind] !== today);
+    if (!fresh.length) return;
+    await updateWeatherSubscriptions(userId, s => {
+      const stored = s.alerts.find(a => sameWeatherTarget(a, sub));
+      if (stored) fresh.forEach(([kind]) => { stored.lastAlert = { ...stored.lastAlert, [kind]: today }; });
+    });
+    await sendWeatherPost(sub, { content: `⚠️ ${forecast.city} の気象アラート（${WEATHER_ALERT_HOURS}時間以内）\n${fresh.map(([, text]) => text).join('\n')}` });
+  } catch (e) {
+    console.warn('weather alert failed', sub.userId, sub.channelId, e.message || e);
+  }
+}
+
+function startWeatherScheduler() {
+  setInterval(() => runDailyWeatherPosts().catch(e => console.warn('daily weather error', e.message || e)), 60 * 1000);
+  setInterval(() => runWeatherAlerts().catch(e => console.warn('weather alert error', e.message || e)), WEATHER_ALERT_INTERVAL);
+}
+
+async function handleWeatherCommand(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const opt = interaction.options;
+  const uid = interaction.user.id;
+  const reply = content => interaction.followUp({ content, flags: 64 });
+
+  const saved = await loadUserWeather(uid);
+  if (sub === 'set') {
+    const place = await pickPlace(interaction, opt.getString('pref'));
+    if (!place) return;
+    await saveUserWeatherPlace(uid, place);
+    return reply(`✅ 天気設定を保存しました: ${placeLabel(place)}`);
+  }
+  if (sub === 'prefs') {
+    const units = opt.getString('units');
+    const lang = opt.getString('lang');
+    if (units || lang) await saveUserWeatherOptions(uid, { units, lang });
+    return reply(`⚙️ 単位: ${WEATHER_UNITS[units || saved.units].label} / 言語: ${WEATHER_LANGS[lang || saved.lang]}`);
+  }
+  if (sub === 'now' || sub === 'forecast') {
+    const text = opt.getString('pref');
+    const place = text ? await pickPlace(interaction, text) : saved.place;
+    if (!place && !text) return reply('⚠️ 場所を指定してください（例: /weather set pref:東京都）');
+    if (!place) return; // pickPlace already told the user why
+    const options = { units: saved.units, lang: saved.lang };
+    try {
+      if (sub === 'now') return reply(await fetchWeather(place, options));
+      return interaction.followUp({ embeds: [buildForecastEmbed(await fetchForecast(place, options))], flags: 64 });
+    } catch (e) {
+      console.error('天気取得失敗：', e);
+      return reply('⚠️ 天気情報が取得できませんでした');
+    }
+  }
+
+  const channel = opt.getChannel('channel');
+  if (channel && !hasCommandPermission(interaction)) return reply('チャンネルへの投稿設定には管理者権限が必要です');
+  // an explicit pref is resolved once now; without one the subscription follows the saved place
+  let place = null;
+  if (opt.getString('pref')) {
+    place = await pickPlace(interaction, opt.getString('pref'));
+    if (!place) return;
+  }
+  const target = channel ? `#${channel.name}` : 'DM';
+  // one subscription per user+target of each kind; setting it again replaces it
+  const sameTarget = s => sameWeatherTarget(s, { channelId: channel?.id });
+
+  if (sub === 'daily') {
+    const time = opt.getString('time');
+    const m = time.match(/^(\d{1,2}):(\d{2})$/);
+    if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return reply('⚠️ 時刻は HH:MM 形式で指定してください（例: 07:00）');
+    if (!place && !saved.place) return reply('⚠️ 先に /weather set で地域を保存するか pref を指定してください');
+    // already past today's slot: start tomorrow instead of posting right away
+    const now = weatherClock();
+    const hhmm = `${m[1].padStart(2, '0')}:${m[2]}`;
+    await updateWeatherSubscriptions(uid, subs => {
+      subs.daily = [...subs.daily.filter(s => !sameTarget(s)), { userId: uid, guildId: interaction.guildId, channelId: channel?.id || null, place, time: hhmm, lastSent: now.time >= hhmm ? now.date : null }];
+    });
+    return reply(`⏰ 毎日 ${hhmm}（${WEATHER_TZ}）に ${target} へ天気予報を送ります`);
+  }
+  if (sub === 'alert') {
+    const rain = opt.getInteger('rain');
+    const tempAbove = opt.getNumber('temp_above');
+    const tempBelow = opt.getNumber('temp_below');
+    if (rain == null && tempAbove == null && tempBelow == null) return reply('⚠️ rain / temp_above / temp_below のいずれかを指定してください');
+    if (!place && !saved.place) return reply('⚠️ 先に /weather set で地域を保存するか pref を指定してください');
+    await updateWeatherSubscriptions(uid, subs => {
+      subs.alerts = [...subs.alerts.filter(s => !sameTarget(s)), { userId: uid, guildId: interaction.guildId, channelId: channel?.id || null, place, rain, tempAbove, tempBelow, tempUnits: saved.units, lastAlert: {} }];
+    });
+    const unit = WEATHER_UNITS[saved.units].temp;
+    const conditions = [rain != null && `降水確率 ${rain}% 以上`, tempAbove != null && `${tempAbove}${unit} 以上`, tempBelow != null && `${tempBelow}${unit} 以下`].filter(Boolean);
+    return reply(`🔔 ${conditions.join(' / ')} になりそうなとき ${target} に通知します`);
+  }
+  if (sub === 'unsubscribe') {
+    const kind = opt.getString('kind');
+    const removed = await updateWeatherSubscriptions(uid, subs => {
+      const before = subs.daily.length + subs.alerts.length;
+      if (kind !== 'alert') subs.daily = subs.daily.filter(s => !sameTarget(s));
+      if (kind !== 'daily') subs.alerts = subs.alerts.filter(s => !sameTarget(s));
+      return before - subs.daily.length - subs.alerts.length;
+    });
+    return reply(removed ? `🔕 ${target} の配信を ${removed}件 解除しました` : '解除する配信がありません');
+  }
+}
+
+// ===== AI providers (Gemini, OpenAI-compatible, mock) =====
+// every provider exposes stream(contents, { systemPrompt, onText, signal }) -> full answer text,
+// where contents use Gemini's { role: 'user'|'model', parts: [{ text }] } shape
+const AI_TIMEOUT = parseInt(process.env.AI_TIMEOUT_MS || '60000', 10) || 60000;
+const AI_PROVIDERS = ['gemini', 'openai', 'mock'];
+const AI_DEFAULT_PROVIDER = AI_PROVIDERS.includes(process.env.AI_PROVIDER) ? process.env.AI_PROVIDER : 'gemini';
+const AI_PROVIDER_SETTINGS = {
+  gemini: {
+    model: GEMINI_MODEL,
+    baseUrl: (process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta').replace(/\/+$/, ''),
+    maxOutputTokens: parseInt(process.env.GEMINI_MAX_OUTPUT_TOKENS || '2048', 10) || 2048,
+    temperature: Number(process.env.GEMINI_TEMPERATURE || 0.7)
+  },
+  openai: {
+    // any OpenAI-compatible server works here, e.g. http://localhost:11434/v1 for Ollama
+    model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    baseUrl: process.env.OPENAI_BASE_URL || undefined,
+    maxOutputTokens: parseInt(process.env.OPENAI_MAX_TOKENS || '2048', 10) || 2048,
+    temperature: Number(process.env.OPENAI_TEMPERATURE || 0.7)
+  },
+  mock: {
+    model: 'mock-echo',
+    delayMs: parseInt(process.env.MOCK_AI_DELAY_MS || '50', 10) || 0
+  }
+};
+
+class AIProviderError extends Error {
+  constructor(provider, message, { status = null, code = null, cause = null } = {}) {
+    super(message);
+    this.name = 'AIProviderError';
+    this.provider = provider;
+    this.status = status;
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+function describeAIError(e) {
+  if (!(e instanceof AIProviderError)) return e?.message || String(e);
+  if (e.code === 'timeout') return `${e.provider}: 応答がタイムアウトしました（${Math.round(AI_TIMEOUT / 1000)}秒）`;
+  if (e.code === 'not_configured') return `${e.provider}: ${e.message}`;
+  if (e.status === 401 || e.status === 403) return `${e.provider}: 認証に失敗しました（APIキーを確認してください）`;
+  if (e.status === 429) return `${e.provider}: 利用上限に達しました。しばらくしてから再度お試しください`;
+  return `${e.provider}: ${e.message}${e.status ? ` (HTTP ${e.status})` : ''}`;
+}
+
+function extractGeminiText(chunk) {
+  if (chunk?.promptFeedback?.blockReason) throw new AIProviderError('gemini', `プロンプトがブロックされました (${chunk.promptFeedback.blockReason})`, { code: 'blocked' });
+  const candidate = chunk?.candidates?.[0];
+  if (!candidate) return '';
+  if (['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT'].includes(candidate.finishReason) && !candidate.content) {
+    throw new AIProviderError('gemini', `回答がブロックされました (${candidate.finishReason})`, { code: 'blocked' });
+  }
+  return (candidate.content?.parts || []).map(p => p.text || '').join('');
+}
+
+// generateContent streamed over SSE
+function createGeminiProvider({ model, baseUrl, maxOutputTokens, temperature }) {
+  return {
+    name: 'gemini',
+    model,
+    async stream(contents, { systemPrompt, onText, signal }) {
+      if (!GEMINI_API_KEY) throw new AIProviderError('gemini', 'GEMINI_API_KEY is not set', { code: 'not_configured' });
+      const res = await fetch(`${baseUrl}/models/${encodeURIComponent(model)}:streamGenerateContent?alt=sse`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'x-goog-api-key': GEMINI_API_KEY },
+        body: JSON.stringify({
+          contents,
+          systemInstruction: { parts: [{ text: systemPrompt }] },
+          generationConfig: { maxOutputTokens, temperature }
+        }),
+        signal
+      });
+      if (!res.ok) {
+        const errText = await res.text().catch(()=>null);
+        let message = errText;
+        try { message = JSON.parse(errText).error.message; } catch (e) {}
+        throw new AIProviderError('gemini', message || 'API error', { status: res.status });
+      }
+      const decoder = new TextDecoder();
+      let buffered = '';
+      let answer = '';
+      const handleLine = line => {
+        if (!line.startsWith('data:')) return;
+        const data = line.slice(5).trim();
+        if (!data) return;
+        answer += extractGeminiText(JSON.parse(data));
+        if (onText) onText(answer);
+      };
+      for await (const chunk of res.body) {
+        buffered += decoder.decode(chunk, { stream: true });
+        let nl;
+        while ((nl = buffered.indexOf('\n')) !== -1) {
+          handleLine(buffered.slice(0, nl).replace(/\r$/, ''));
+          buffered = buffered.slice(nl + 1);
+        }
+      }
+      handleLine(buffered.trim());
+      return answer;
+    }
+  };
+}
+
+// chat.completions through the openai package; baseUrl lets it talk to local servers too
+function createOpenAIProvider({ model, baseUrl, maxOutputTokens, temperature }) {
+  let api = null;
+  return {
+    name: 'openai',
+    model,
+    async stream(contents, { systemPrompt, onText, signal }) {
+      if (!process.env.OPENAI_API_KEY && !baseUrl) throw new AIProviderError('openai', 'OPENAI_API_KEY または OPENAI_BASE_URL が設定されていません', { code: 'not_configured' });
+      // local servers usually ignore the key, but the client insists on one
+      api = api || new OpenAI({ apiKey: process.env.OPENAI_API_KEY || 'not-needed', baseURL: baseUrl, maxRetries: 1 });
+      const messages = [
+        { role: 'system', content: systemPrompt },
+        ...contents.map(c => ({ role: c.role === 'model' ? 'assistant' : 'user', content: c.parts.map(p => p.text || '').join('') }))
+      ];
+      let answer = '';
+      try {
+        const stream = await api.chat.completions.create({ model, messages, max_tokens: maxOutputTokens, temperature, stream: true }, { signal });
+        for await (const chunk of stream) {
+          const delta = chunk.choices?.[0]?.delta?.content;
+          if (!delta) continue;
+          answer += delta;
+          if (onText) onText(answer);
+        }
+      } catch (e) {
+        if (e instanceof OpenAI.APIError && !(e instanceof OpenAI.APIUserAbortError)) {
+          throw new AIProviderError('openai', e.error?.message || e.message, { status: e.status ?? null, code: e.code ?? null, cause: e });
+        }
+        throw e;
+      }
+      return answer;
+    }
+  };
+}
+
+// offline provider for trying the bot without any API: echoes the prompt back in small pieces
+function createMockProvider({ model, delayMs }) {
+  return {
+    name: 'mock',
+    model,
+    async stream(contents, { onText, signal }) {
+      const last = contents[contents.length - 1]?.parts.map(p => p.text).join('') || '';
+      const turns = contents.filter(c => c.role === 'user').length;
+      const text = `（モック応答 #${turns}）「${last}」を受け取りました。`;
+      let answer = '';
+      for (const piece of text.match(/.{1,8}/gs) || []) {
+        if (signal?.aborted) throw signal.reason;
+        if (delayMs) await delay(delayMs);
+        answer += piece;
+        if (onText) onText(answer);
+      }
+      return answer;
+    }
+  };
+}
+
+const AI_PROVIDER_FACTORIES = { gemini: createGeminiProvider, openai: createOpenAIProvider, mock: createMockProvider };
+
+// guild settings: ai = { provider, model }
+async function loadGuildAISettings(guildId) {
+  if (!guildId) return {};
+  return (await getSettings('guild', guildId)).ai || {};
+}
+
+async function saveGuildAISettings(guildId, settings) {
+  await updateSettings('guild', guildId, s => { s.ai = settings; });
+}
+
+// guild setting (provider + optional model override) wins over AI_PROVIDER
+async function getAIProvider(guildId) {
+  const settings = await loadGuildAISettings(guildId);
+  const name = AI_PROVIDERS.includes(settings.provider) ? settings.provider : AI_DEFAULT_PROVIDER;
+  const config = { ...AI_PROVIDER_SETTINGS[name], ...(settings.model ? { model: settings.model } : {}) };
+  return AI_PROVIDER_FACTORIES[name](config);
+}
+
+// uniform timeout and error shape around provider.stream
+async function streamAI(provider, contents, { systemPrompt, onText = null }) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), AI_TIMEOUT);
+  try {
+    const answer = await provider.stream(contents, { systemPrompt, onText, signal: controller.signal });
+    if (!answer.trim()) throw new AIProviderError(provider.name, '空の回答が返りました', { code: 'empty' });
+    return answer;
+  } catch (e) {
+    if (controller.signal.aborted) throw new AIProviderError(provider.name, 'timeout', { code: 'timeout', cause: e });
+    if (e instanceof AIProviderError) throw e;
+    throw new AIProviderError(provider.name, e.message || String(e), { code: e.code ?? null, cause: e });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// ===== AI chat sessions (per channel / thread) =====
+const AI_SYSTEM_PROMPT = process.env.AI_SYSTEM_PROMPT || process.env.GEMINI_SYSTEM_PROMPT || 'あなたはDiscordサーバーで質問に答える親切なアシスタントです。特に指定がなければ日本語で簡潔に答えてください。';
+const AI_HISTORY_TOKENS = parseInt(process.env.AI_HISTORY_TOKENS || process.env.GEMINI_HISTORY_TOKENS || '8000', 10) || 8000;
+const AI_SESSION_TTL = (parseInt(process.env.AI_SESSION_TTL_MIN || process.env.GEMINI_SESSION_TTL_MIN || '60', 10) || 60) * 60 * 1000;
+const AI_EDIT_INTERVAL = 1500; // ms between progressive edits, well under the message edit rate limit
+const DISCORD_MESSAGE_MAX = 2000;
+const ANSWER_MAX_MESSAGES = 4; // longer answers are sent as a file instead
+const AI_SESSION_MAX = 1000;
+const aiSessions = new Map(); // channelId/threadId -> { contents, systemPrompt, updatedAt }, least recently used first
+
+// rough token estimate: CJK characters are ~1 token each, other text ~4 characters per token
+function estimateTokens(text) {
+  const wide = (text.match(/[^\x00-\x7f]/g) || []).length;
+  return wide + Math.ceil((text.length - wide) / 4);
+}
+
+// drop the oldest turns until the history fits the budget; always keep the newest user turn
+function trimHistory(contents, budget = AI_HISTORY_TOKENS) {
+  const cost = c => c.parts.reduce((sum, p) => sum + estimateTokens(p.text || ''), 0);
+  let total = contents.reduce((sum, c) => sum + cost(c), 0);
+  let start = 0;
+  while (total > budget && start < contents.length - 1) total -= cost(contents[start++]);
+  // the API expects the conversation to open with a user turn
+  while (start < contents.length - 1 && contents[start].role !== 'user') start++;
+  return contents.slice(start);
+}
+
+// sessions are kept in last-use order, so expired ones (and any over the cap) sit at the front
+function sweepAISessions(now = Date.now()) {
+  for (const [key, session] of aiSessions) {
+    if (now - session.updatedAt <= AI_SESSION_TTL && aiSessions.size <= AI_SESSION_MAX) break;
+    aiSessions.delete(key);
+  }
+}
+
+function getAISession(key, { reset = false, systemPrompt = null } = {}) {
+  sweepAISessions();
+  let session = aiSessions.get(key);
+  if (reset || !session || Date.now() - session.updatedAt > AI_SESSION_TTL) {
+    session = { contents: [], systemPrompt: systemPrompt || AI_SYSTEM_PROMPT, updatedAt: Date.now() };
+    aiSessions.set(key, session);
+  } else if (systemPrompt) {
+    session.systemPrompt = systemPrompt;
+  }
+  return session;
+}
+
+// one conversational turn: history is only extended once the model actually answered
+async function chatAI(sessionKey, prompt, { guildId = null, onText = null, reset = false, systemPrompt = null } = {}) {
+  const session = getAISession(sessionKey, { reset, systemPrompt });
+  const contents = trimHistory([...session.contents, { role: 'user', parts: [{ text: prompt }] }]);
+  const provider = await getAIProvider(guildId);
+  const answer = await streamAI(provider, contents, { systemPrompt: session.systemPrompt, onText });
+  session.contents = [...contents, { role: 'model', parts: [{ text: answer }] }];
+  session.updatedAt = Date.now();
+  if (aiSessions.get(sessionKey) === session) { // not reset while the answer streamed
+    aiSessions.delete(sessionKey);
+    aiSessions.set(sessionKey, session);
+  }
+  return answer;
+}
+
+// split on line breaks where possible so code blocks and paragraphs stay readable
+function splitMessage(text, max = DISCORD_MESSAGE_MAX - 10) {
+  const chunks = [];
+  let rest = text;
+  while (rest.length > max) {
+    let cut = rest.lastIndexOf('\n', max);
+    if (cut < max / 2) cut = rest.lastIndexOf(' ', max);
+    if (cut < max / 2) cut = max;
+    chunks.push(rest.slice(0, cut));
+    rest = rest.slice(cut).replace(/^\n/, '');
+  }
+  if (rest) chunks.push(rest);
+  return chunks;
+}
+
+// shows a streamed answer by editing the first message, then spreads the final text over
+// several messages, or attaches it as a file when it would take too many.
+// Nothing it posts may ping: model output can echo "@everyone" or user mentions
+function createAnswerWriter(editFirstRaw, sendMoreRaw) {
+  const editFirst = payload => editFirstRaw({ ...payload, allowedMentions: { parse: [] } });
+  const sendMore = payload => sendMoreRaw({ ...payload, allowedMentions: { parse: [] } });
+  let lastEdit = 0;
+  let inflight = Promise.resolve();
+  let busy = false;
+  return {
+    update(text) {
+      if (busy || Date.now() - lastEdit < AI_EDIT_INTERVAL) return;
+      busy = true;
+      lastEdit = Date.now();
+      const preview = text.length > DISCORD_MESSAGE_MAX - 10 ? text.slice(-(DISCORD_MESSAGE_MAX - 10)) : text;
+      inflight = editFirst({ content: preview + ' ▌' }).catch(()=>{}).finally(() => { busy = false; });
+    },
+    async finish(text) {
+      await inflight;
+      const chunks = splitMessage(text);
+      if (chunks.length > ANSWER_MAX_MESSAGES) {
+        await editFirst({
+          content: `${chunks[0].slice(0, 1500)}\n…\n📎 回答が長いため全文をファイルで送ります`,
+          files: [{ attachment: Buffer.from(text, 'utf-8'), name: 'answer.md' }]
+        });
+        return;
+      }
+      await editFirst({ content: chunks[0] });
+      for (const chunk of chunks.slice(1)) await sendMore({ content: chunk });
+    },
+    async fail(message) {
+      await inflight;
+      await editFirst({ content: message }).catch(()=>{});
+    }
+  };
+}
+
+async function answerWithAI(sessionKey, prompt, writer, opts = {}) {
+  try {
+    const answer = await chatAI(sessionKey, prompt, { ...opts, onText: text => writer.update(text) });
+    await writer.finish(answer);
+  } catch (e) {
+    console.error('AI APIエラー:', e);
+    await writer.fail('⚠️ AI APIエラー: ' + describeAIError(e));
+  }
+}
+
+// ===== Music playback helpers (play-dl + discord voice) =====
+const MUSIC_IDLE_TIMEOUT = (parseInt(process.env.MUSIC_IDLE_TIMEOUT_SEC || '300', 10) || 300) * 1000;
+const MUSIC_PLAYLIST_LIMIT = parseInt(process.env.MUSIC_PLAYLIST_LIMIT || '100', 10) || 100;
+const MUSIC_QUEUE_PAGE = 10;
+const LOOP_LABELS = { off: 'オフ', track: '1曲リピート', queue: 'キューリピート' };
+
+function formatDuration(sec) {
+  if (!sec) return 'ライブ/不明';
+  const h = Math.floor(sec / 3600), m = Math.floor(sec % 3600 / 60), s = Math.floor(sec % 60);
+  return (h ? `${h}:${String(m).padStart(2, '0')}` : String(m)) + ':' + String(s).padStart(2, '0');
+}
+
+function toTrack(video, requestedBy) {
+  return { title: video.title || video.url, url: video.url, duration: video.durationInSec || 0, requestedBy };
+}
+
+// turn a /play query into tracks: youtube video, youtube playlist (expanded), or the top search hit
+async function resolveTracks(urlOrQuery, requestedBy) {
+  const kind = urlOrQuery.startsWith('https') ? play.yt_validate(urlOrQuery) : 'search';
+  if (kind === 'playlist') {
+    const list = await play.playlist_info(urlOrQuery, { incomplete: true });
+    const videos = await list.all_videos();
+    return videos.slice(0, MUSIC_PLAYLIST_LIMIT).map(v => toTrack(v, requestedBy));
+  }
+  if (kind === 'video') {
+    const info = await play.video_basic_info(urlOrQuery);
+    return [toTrack(info.video_details, requestedBy)];
+  }
+  // spotify and other links are resolved by searching youtube for them
+  const search = await play.search(urlOrQuery, { limit: 1 });
+  if (search && search.length > 0) return [toTrack(search[0], requestedBy)];
+  throw new Error('No playable result');
+}
+
+function getMusicRecord(guildId) {
+  return audioPlayers.get(guildId) || null;
+}
+
+function createMusicRecord(guild, voiceChannel, textChannel) {
+  const player = createAudioPlayer({ behaviors: { noSubscriber: NoSubscriberBehavior.Play } });
+  const connection = joinVoiceChannel({
+    channelId: voiceChannel.id,
+    guildId: guild.id,
+    adapterCreator: guild.voiceAdapterCreator
+  });
+  connection.subscribe(player);
+  const record = { connection, player, queue: [], current: null, resource: null, loop: 'off', volume: 100, textChannel, idleTimer: null, skipping: false, starting: false, destroyed: false };
+  audioPlayers.set(guild.id, record);
+  player.on('error', err => console.error('Audio player error:', err));
+  player.on(AudioPlayerStatus.Idle, () => {
+    if (record.destroyed) return;
+    const finished = record.current;
+    // a skipped track is not repeated by track loop, but still rejoins the end of a looping queue
+    if (finished && record.loop === 'queue') record.queue.push(finished);
+    else if (finished && record.loop === 'track' && !record.skipping) record.queue.unshift(finished);
+    record.skipping = false;
+    record.current = null;
+    record.resource = null;
+    playNext(guild.id).catch(e => console.error('playNext error', e));
+  });
+  return record;
+}
+
+function destroyMusicRecord(guildId) {
+  const record = audioPlayers.get(guildId);
+  if (!record) return;
+  clearTimeout(record.idleTimer);
+  // stop() fires Idle synchronously; the flag keeps it from re-queueing a looped track into a dead connection
+  record.destroyed = true;
+  record.queue = [];
+  record.current = null;
+  record.loop = 'off';
+  try { record.player.stop(true); } catch (e) {}
+  try { record.connection.destroy(); } catch (e) {}
+  audioPlayers.delete(guildId);
+}
+
+// start the next queued track; when the queue runs dry, stay connected until the idle timeout
+async function playNext(guildId) {
+  const record = audioPlayers.get(guildId);
+  // one start at a time: a second /play while the stream opens just leaves its tracks queued
+  if (!record || record.destroyed || record.starting) return;
+  clearTimeout(record.idleTimer);
+  record.starting = true;
+  try {
+    if (await startNextTrack(record)) return;
+  } finally {
+    record.starting = false;
+  }
+  if (record.destroyed) return;
+  record.idleTimer = setTimeout(() => {
+    if (audioPlayers.get(guildId) === record && !record.current) destroyMusicRecord(guildId);
+  }, MUSIC_IDLE_TIMEOUT);
+}
+
+// true once a track is playing (or the record was destroyed meanwhile), false when the queue ran dry
+async function startNextTrack(record) {
+  while (record.queue.length) {
+    const track = record.queue.shift();
+    try {
+      const stream = await play.stream(track.url);
+      if (record.destroyed) return true;
+      const resource = createAudioResource(stream.stream, { inputType: stream.type, inlineVolume: true });
+      resource.volume.setVolume(record.volume / 100);
+      record.current = track;
+      record.resource = resource;
+      record.player.play(resource);
+      return true;
+    } catch (e) {
+      console.error('music stream error', track.url, e);
+      await record.textChannel?.send(`⚠️ 再生できませんでした: ${track.title}（${e.message}）`).catch(()=>{});
+    }
+  }
+  return record.destroyed;
+}
+
+// `tracks` skips resolving the query (saved playlists already carry title/url/duration)
+async function playMusic(interaction, urlOrQuery, { tracks = null } = {}) {
+  const member = interaction.member;
+  const voiceChannel = member?.voice?.channel;
+  if (!voiceChannel) {
+    await interaction.followUp({ content: '先にボイスチャンネルに参加してください', flags: 64 }).catch(()=>{});
+    return;
+  }
+
+  try {
+    tracks = tracks || await resolveTracks(urlOrQuery, interaction.user.id);
+    // create or reuse player for guild
+    const record = getMusicRecord(interaction.guildId) || createMusicRecord(interaction.guild, voiceChannel, interaction.channel);
+    record.textChannel = interaction.channel;
+    record.queue.push(...tracks);
+    const startNow = !record.current && !record.starting;
+    if (startNow) await playNext(interaction.guildId);
+    const what = tracks.length > 1 ? `プレイリスト ${tracks.length}曲` + (urlOrQuery.startsWith('http') ? '' : `「${urlOrQuery}」`) : `${tracks[0].title} (${formatDuration(tracks[0].duration)})`;
+    const content = startNow ? `🎶 再生開始: ${what}` : `➕ キューに追加: ${what}（待ち ${record.queue.length}曲）`;
+    await interaction.followUp({ content, flags: 64 }).catch(()=>{});
+  } catch (e) {
+    console.error('playMusic error:', e);
+    await interaction.followUp({ content: `再生に失敗しました: ${e.message}`, flags: 64 }).catch(()=>{});
+  }
+}
+
+async function stopMusic(interaction) {
+  const guildId = interaction.guildId;
+  const record = audioPlayers.get(guildId);
+  if (!record) return interaction.followUp({ content: '再生中ではありません', flags: 64 }).catch(()=>{});
+  try {
+    destroyMusicRecord(guildId);
+    await interaction.followUp({ content: '⏹️ 再生を停止しました', flags: 64 }).catch(()=>{});
+  } catch (e) {
+    console.error('stopMusic err', e);
+    await interaction.followUp({ content: '停止に失敗しました', flags: 64 }).catch(()=>{});
+  }
+}
+
+function buildQueueEmbed(record, page = 1) {
+  const pages = Math.max(1, Math.ceil(record.queue.length / MUSIC_QUEUE_PAGE));
+  page = Math.min(Math.max(1, page), pages);
+  const start = (page - 1) * MUSIC_QUEUE_PAGE;
+  const lines = record.queue.slice(start, start + MUSIC_QUEUE_PAGE)
+    .map((t, i) => `${start + i + 1}. [${t.title}](${t.url}) \`${formatDuration(t.duration)}\` <@${t.requestedBy}>`);
+  const total = record.queue.reduce((sum, t) => sum + (t.duration || 0), 0);
+  return new EmbedBuilder()
+    .setTitle('🎵 再生キュー')
+    .setDescription([
+      record.current ? `**再生中:** [${record.current.title}](${record.current.url})` : '**再生中:** なし',
+      '',
+      lines.length ? lines.join('\n') : 'キューは空です'
+    ].join('\n'))
+    .setFooter({ text: `${record.queue.length}曲 / 合計 ${formatDuration(total)} ・ ループ: ${LOOP_LABELS[record.loop]} ・ 音量: ${record.volume}% ・ ${page}/${pages}ページ` });
+}
+
+// /queue /skip /pause /resume /nowplaying /loop /shuffle /remove /volume
+async function handleMusicCommand(interaction, cmd) {
+  const record = getMusicRecord(interaction.guildId);
+  if (!record) return interaction.followUp({ content: '再生中ではありません', flags: 64 }).catch(()=>{});
+  const opt = interaction.options;
+  let content;
+  if (cmd === 'queue') {
+    return interaction.followUp({ embeds: [buildQueueEmbed(record, opt.getInteger('page') || 1)], flags: 64 }).catch(()=>{});
+  } else if (cmd === 'nowplaying') {
+    if (!record.current) content = '再生中の曲はありません';
+    else {
+      const t = record.current;
+      const elapsed = Math.floor((record.resource?.playbackDuration || 0) / 1000);
+      const embed = new EmbedBuilder()
+        .setTitle('▶️ 再生中')
+        .setDescription(`[${t.title}](${t.url})`)
+        .addFields(
+          { name: '経過', value: `${formatDuration(elapsed)} / ${formatDuration(t.duration)}`, inline: true },
+          { name: 'リクエスト', value: `<@${t.requestedBy}>`, inline: true },
+          { name: 'ループ', value: LOOP_LABELS[record.loop], inline: true }
+        );
+      return interaction.followUp({ embeds: [embed], flags: 64 }).catch(()=>{});
+    }
+  } else if (cmd === 'skip') {
+    if (!record.current) content = 'スキップする曲がありません';
+    else {
+      content = `⏭️ スキップしました: ${record.current.title}`;
+      record.skipping = true;
+      record.player.stop(true); // Idle handler moves on to the next track
+    }
+  } else if (cmd === 'pause') {
+    content = record.player.pause() ? '⏸️ 一時停止しました' : '一時停止できませんでした';
+  } else if (cmd === 'resume') {
+    content = record.player.unpause() ? '▶️ 再開しました' : '再開できませんでした';
+  } else if (cmd === 'loop') {
+    record.loop = opt.getString('mode');
+    content = `🔁 ループ: ${LOOP_LABELS[record.loop]}`;
+  } else if (cmd === 'shuffle') {
+    for (let i = record.queue.length - 1; i > 0; i--) {
+      const j = Math.floor(Math.random() * (i + 1));
+      [record.queue[i], record.queue[j]] = [record.queue[j], record.queue[i]];
+    }
+    content = `🔀 ${record.queue.length}曲をシャッフルしました`;
+  } else if (cmd === 'remove') {
+    const pos = opt.getInteger('position');
+    if (pos < 1 || pos > record.queue.length) content = `1〜${record.queue.length} の番号を指定してください`;
+    else content = `🗑️ キューから削除しました: ${record.queue.splice(pos - 1, 1)[0].title}`;
+  } else if (cmd === 'volume') {
+    record.volume = opt.getInteger('percent');
+    record.resource?.volume?.setVolume(record.volume / 100);
+    content = `🔊 音量: ${record.volume}%`;
+  }
+  return interaction.followUp({ content, flags: 64 }).catch(()=>{});
+}
+
+// ===== Saved playlists (personal / server, kept in user / guild settings) =====
+const PLAYLIST_MAX_TRACKS = parseInt(process.env.PLAYLIST_MAX_TRACKS || '500', 10) || 500;
+
+function playlistSettingsScope(scope) {
+  return scope === 'server' ? 'guild' : 'user';
+}
+
+function playlistOwner(interaction, scope) {
+  return scope === 'server' ? interaction.guildId : interaction.user.id;
+}
+
+// user / guild settings: playlists = { name -> { name, createdBy, createdAt, tracks } }
+async function loadPlaylists(scope, ownerId) {
+  return (await getSettings(playlistSettingsScope(scope), ownerId)).playlists || {};
+}
+
+// read-modify-write inside the owner's settings lock, so concurrent edits of a server playlist don't overwrite each other
+async function updatePlaylists(scope, ownerId, mutate) {
+  await updateSettings(playlistSettingsScope(scope), ownerId, async s => {
+    s.playlists = s.playlists || {};
+    await mutate(s.playlists);
+  });
+}
+
+// server playlists can be edited by whoever created them or by server managers
+function canEditPlaylist(interaction, scope, list) {
+  return scope !== 'server' || list.createdBy === interaction.user.id || hasManageGuildPermission(interaction.member);
+}
+
+function formatPlaylist(list, scope) {
+  const total = list.tracks.reduce((sum, t) => sum + (t.duration || 0), 0);
+  const lines = list.tracks.slice(0, 30).map((t, i) => `${i + 1}. [${t.title}](${t.url}) \`${formatDuration(t.duration)}\``);
+  if (list.tracks.length > 30) lines.push(`…ほか ${list.tracks.length - 30} 曲`);
+  return new EmbedBuilder()
+    .setTitle(`📀 ${list.name}（${scope === 'server' ? 'サーバー' : '個人'}）`)
+    .setDescription(lines.length ? lines.join('\n') : '曲がありません')
+    .setFooter({ text: `${list.tracks.length}曲 / 合計 ${formatDuration(total)}` });
+}
+
+async function handlePlaylistCommand(interaction) {
+  const opt = interaction.options;
+  const sub = opt.getSubcommand();
+  const scope = opt.getString('scope') || 'personal';
+  const ownerId = playlistOwner(interaction, scope);
+  const playlists = await loadPlaylists(scope, ownerId);
+  const reply = content => interaction.followUp({ content, flags: 64 }).catch(()=>{});
+
+  if (sub === 'list') {
+    const names = Object.values(playlists);
+    if (!names.length) return reply('📀 保存されたプレイリストはありません');
+    return reply(`📀 ${scope === 'server' ? 'サーバー' : '個人'}のプレイリスト\n` + names.map(l => `・${l.name}（${l.tracks.length}曲）`).join('\n'));
+  }
+
+  const name = opt.getString('name').trim().slice(0, 50);
+  if (!name || name === '__proto__') return reply('⚠️ その名前は使えません');
+  const list = Object.hasOwn(playlists, name) ? playlists[name] : null;
+  if (sub === 'create') {
+    if (list) return reply(`⚠️ 「${name}」は既に存在します`);
+    const created = { name, createdBy: interaction.user.id, createdAt: new Date().toISOString(), tracks: [] };
+    if (opt.getBoolean('from_queue')) {
+      const record = getMusicRecord(interaction.guildId);
+      if (!record || (!record.current && !record.queue.length)) return reply('⚠️ 保存するキューがありません');
+      created.tracks = [record.current, ...record.queue].filter(Boolean).slice(0, PLAYLIST_MAX_TRACKS).map(({ title, url, duration }) => ({ title, url, duration }));
+    }
+    let taken = false;
+    await updatePlaylists(scope, ownerId, current => {
+      taken = Object.hasOwn(current, name);
+      if (!taken) current[name] = created;
+    });
+    if (taken) return reply(`⚠️ 「${name}」は既に存在します`);
+    return reply(`📀 「${name}」を作成しました（${created.tracks.length}曲）`);
+  }
+
+  if (!list) return reply(`⚠️ プレイリスト「${name}」が見つかりません`);
+  if (sub === 'show') return interaction.followUp({ embeds: [formatPlaylist(list, scope)], flags: 64 }).catch(()=>{});
+  if (sub === 'play') {
+    if (!list.tracks.length) return reply(`⚠️ 「${name}」には曲がありません`);
+    const tracks = list.tracks.map(t => ({ ...t, requestedBy: interaction.user.id }));
+    return playMusic(interaction, name, { tracks });
+  }
+
+  if (!canEditPlaylist(interaction, scope, list)) return reply('⚠️ このサーバープレイリストを編集する権限がありません');
+  // the checks above ran on a snapshot; each edit looks the list up again inside the lock
+  let error = null;
+  const editList = fn => updatePlaylists(scope, ownerId, current => {
+    const fresh = Object.hasOwn(current, name) ? current[name] : null;
+    if (!fresh) error = `⚠️ プレイリスト「${name}」が見つかりません`;
+    else if (!canEditPlaylist(interaction, scope, fresh)) error = '⚠️ このサーバープレイリストを編集する権限がありません';
+    else fn(fresh, current);
+  });
+  if (sub === 'add') {
+    if (list.tracks.length >= PLAYLIST_MAX_TRACKS) return reply(`⚠️ 1つのプレイリストには ${PLAYLIST_MAX_TRACKS} 曲までです`);
+    let tracks;
+    try {
+      tracks = await resolveTracks(opt.getString('query'), interaction.user.id);
+    } catch (e) {
+      return reply(`⚠️ 曲を見つけられませんでした: ${e.message}`);
+    }
+    let added = [];
+    await editList(fresh => {
+      added = tracks.slice(0, Math.max(0, PLAYLIST_MAX_TRACKS - fresh.tracks.length)).map(({ title, url, duration }) => ({ title, url, duration }));
+      fresh.tracks.push(...added);
+    });
+    if (error) return reply(error);
+    if (!added.length) return reply(`⚠️ 1つのプレイリストには ${PLAYLIST_MAX_TRACKS} 曲までです`);
+    return reply(`➕ 「${name}」に追加しました: ${added.length > 1 ? `${added.length}曲` : added[0].title}`);
+  }
+  if (sub === 'remove') {
+    const pos = opt.getInteger('position');
+    let removed = null, count = 0;
+    await editList(fresh => {
+      count = fresh.tracks.length;
+      if (pos >= 1 && pos <= count) [removed] = fresh.tracks.splice(pos - 1, 1);
+    });
+    if (error) return reply(error);
+    if (!removed) return reply(`1〜${count} の番号を指定してください`);
+    return reply(`🗑️ 「${name}」から削除しました: ${removed.title}`);
+  }
+  if (sub === 'delete') {
+    await editList((fresh, current) => { delete current[name]; });
+    if (error) return reply(error);
+    return reply(`🗑️ プレイリスト「${name}」を削除しました`);
+  }
+}
+
+// ===== Quiz externalization (save/load JSON through the storage backend) =====
+// the shared quizzes.json now only seeds guilds that have no bank of their own yet
+const QUIZ_KEY = 'quizzes/quizzes.json';
+async function loadQuizzes() {
+  // quizzes.json at the storage root is where older versions kept the local copy
+  const data = (await readJson(QUIZ_KEY)) ?? (await readJson('quizzes.json'));
+  return Array.isArray(data) ? data : [];
+}
+let loadedQuizzes = [];
+
+// ===== Quiz banks (per guild: categories, difficulty, import/export) =====
+const QUIZ_DIFFICULTIES = { easy: 'かんたん', normal: 'ふつう', hard: 'むずかしい' };
+const QUIZ_LIST_PAGE = 15;
+const QUIZ_IMPORT_MAX_BYTES = 1024 * 1024;
+const QUIZ_CSV_COLUMNS = ['question', 'answer', 'alternates', 'choices', 'category', 'difficulty'];
+
+// entries from an old bank or the shared file; invalid ones are skipped
+function normalizeQuizList(list, where) {
+  const bank = [];
+  for (const q of list) {
+    try { bank.push(normalizeQuiz(q, nextQuizId(bank))); }
+    catch (e) { console.warn(`quiz bank ${where}: skipped invalid entry`, e.message); }
+  }
+  return bank;
+}
+
+// guild settings: quizzes = the guild's bank; a guild without one reads a copy of the shared quizzes.json
+async function loadQuizBank(guildId) {
+  const stored = (await getSettings('guild', guildId)).quizzes;
+  return Array.isArray(stored) ? stored : normalizeQuizList(loadedQuizzes, 'shared');
+}
+
+// read-modify-write inside the guild's settings lock, so two moderators editing at once don't drop questions;
+// mutate gets the current bank and returns the next one (or nothing to leave it as is)
+async function updateQuizBank(guildId, mutate) {
+  await updateSettings('guild', guildId, async s => {
+    const next = await mutate(Array.isArray(s.quizzes) ? s.quizzes : normalizeQuizList(loadedQuizzes, 'shared'));
+    if (next) s.quizzes = next;
+  });
+}
+
+function nextQuizId(bank) {
+  return bank.reduce((max, q) => Math.max(max, q.id || 0), 0) + 1;
+}
+
+// validate one entry (from /quiz add, an import file or an old bank) into the stored shape
+function normalizeQuiz(raw, id) {
+  const list = v => (Array.isArray(v) ? v.map(String) : splitQuizList(v)).map(s => s.trim()).filter(Boolean);
+  const question = String(raw?.question ?? '').trim();
+  const answer = String(raw?.answer ?? '').trim();
+  if (!question || !answer) throw new Error('question と answer は必須です');
+  const quiz = {
+    id: Number.isInteger(raw.id) && raw.id > 0 ? raw.id : id,
+    question: question.slice(0, 1000),
+    answer: answer.slice(0, 200),
+    category: String(raw.category || 'general').trim().slice(0, 50) || 'general',
+    difficulty: Object.hasOwn(QUIZ_DIFFICULTIES, raw.difficulty) ? raw.difficulty : 'normal'
+  };
+  const alternates = list(raw.alternates);
+  const choices = list(raw.choices);
+  if (choices.length && !choices.includes(answer)) choices.push(answer);
+  if (choices.length === 1 || choices.length > 5) throw new Error('選択肢は答えを含めて2〜5個にしてください');
+  if (alternates.length) quiz.alternates = alternates;
+  if (choices.length) quiz.choices = choices;
+  return quiz;
+}
+
+function quizCategories(bank) {
+  return [...new Set(bank.map(q => q.category))];
+}
+
+function csvCell(value) {
+  const s = String(value ?? '');
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function quizzesToCsv(bank) {
+  const rows = bank.map(q => [q.question, q.answer, (q.alternates || []).join('|'), (q.choices || []).join('|'), q.category, q.difficulty].map(csvCell).join(','));
+  return [QUIZ_CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+// RFC 4180 style: quoted cells may contain commas, doubled quotes and line breaks
+function parseCsv(text) {
+  const rows = [];
+  let row = [], cell = '', quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(cell); cell = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell); rows.push(row); row = []; cell = '';
+    } else cell += ch;
+  }
+  if (cell || row.length) { row.push(cell); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim()));
+}
+
+// returns { quizzes, errors } so one bad row doesn't throw away the whole file
+function parseQuizFile(name, buffer) {
+  const text = buffer.toString('utf-8').replace(/^\uFEFF/, '');
+  let records;
+  if (/\.json$/i.test(name)) {
+    const data = JSON.parse(text);
+    records = Array.isArray(data) ? data : data?.quizzes;
+    if (!Array.isArray(records)) throw new Error('JSON は問題の配列（または { quizzes: [...] }）にしてください');
+  } else {
+    const [header, ...rows] = parseCsv(text);
+    const columns = (header || []).map(h => h.trim().toLowerCase());
+    if (!columns.includes('question') || !columns.includes('answer')) throw new Error(`CSV の1行目に列名（${QUIZ_CSV_COLUMNS.join(',')}）が必要です`);
+    records = rows.map(r => Object.fromEntries(columns.map((c, i) => [c, r[i] ?? ''])));
+  }
+  const quizzes = [];
+  const errors = [];
+  records.forEach((r, i) => {
+    try { quizzes.push(normalizeQuiz({ ...r, id: undefined }, 0)); }
+    catch (e) { errors.push(`${i + 1}件目: ${e.message}`); }
+  });
+  return { quizzes, errors };
+}
+
+function buildQuizListEmbed(bank, { page = 1, category = null } = {}) {
+  const filtered = category ? bank.filter(q => q.category === category) : bank;
+  const pages = Math.max(1, Math.ceil(filtered.length / QUIZ_LIST_PAGE));
+  page = Math.min(Math.max(1, page), pages);
+  const lines = filtered.slice((page - 1) * QUIZ_LIST_PAGE, page * QUIZ_LIST_PAGE)
+    .map(q => `\`#${q.id}\` [${q.category}/${QUIZ_DIFFICULTIES[q.difficulty]}]${q.choices ? ' 🔘' : ''} ${q.question.slice(0, 80)}`);
+  return new EmbedBuilder()
+    .setTitle(`📚 クイズ一覧${category ? `（${category}）` : ''}`)
+    .setDescription(lines.length ? lines.join('\n') : '問題が登録されていません')
+    .setFooter({ text: `${filtered.length}問 ・ ${page}/${pages}ページ ・ カテゴリ: ${quizCategories(bank).join(', ') || 'なし'}` });
+}
+
+// ===== Quiz sessions (rounds, buttons, fuzzy answers, leaderboard) =====
+const QUIZ_DEFAULT_ROUNDS = 5;
+const QUIZ_DEFAULT_SECONDS = 20;
+const QUIZ_BASE_POINTS = 100; // instant answers get the full amount, answers at the buzzer get half
+const activeQuizSessions = new Map(); // channelId -> session
+
+// fold width (NFKC), case and katakana/hiragana so "ﾄｳｷｮｳ", "トウキョウ" and "とうきょう" compare equal
+function normalizeAnswer(text) {
+  return String(text).normalize('NFKC').toLowerCase()
+    .replace(/[ァ-ヶ]/g, ch => String.fromCharCode(ch.charCodeAt(0) - 0x60))
+    .replace(/[\s　・、。,.!?'"「」『』()（）\-]/g, '');
+}
+
+function editDistance(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(prev[j] + 1, prev[j - 1] + 1, diag + (a[i - 1] === b[j - 1] ? 0 : 1));
+      diag = tmp;
+    }
+  }
+  return prev[b.length];
+}
+
+// exact match on any accepted answer after normalization, with a small typo allowance for longer ones
+function isCorrectAnswer(quiz, reply) {
+  const given = normalizeAnswer(reply);
+  if (!given) return false;
+  return [quiz.answer, ...(quiz.alternates || [])].some(candidate => {
+    const expected = normalizeAnswer(candidate);
+    if (given === expected) return true;
+    const allowed = expected.length <= 3 ? 0 : expected.length <= 7 ? 1 : 2;
+    return allowed > 0 && editDistance(given, expected) <= allowed;
+  });
+}
+
+function speedPoints(elapsedMs, limitMs) {
+  return Math.round(QUIZ_BASE_POINTS * (1 - 0.5 * Math.min(1, elapsedMs / limitMs)));
+}
+
+// guild settings: quizLeaderboard = { userId -> { points, correct, played } }
+async function loadLeaderboard(guildId) {
+  return (await getSettings('guild', guildId)).quizLeaderboard || {};
+}
+
+// sessions in different channels can end together; the settings lock keeps their totals from overwriting each other
+async function recordQuizScores(guildId, totals, participants) {
+  await updateSettings('guild', guildId, s => {
+    const scores = s.quizLeaderboard || {};
+    for (const userId of participants) {
+      const entry = scores[userId] || { points: 0, correct: 0, played: 0 };
+      const result = totals.get(userId);
+      entry.points += result?.points || 0;
+      entry.correct += result?.correct || 0;
+      entry.played += 1;
+      scores[userId] = entry;
+    }
+    s.quizLeaderboard = scores;
+  });
+}
+
+async function buildLeaderboardEmbed(guild) {
+  const scores = Object.entries(await loadLeaderboard(guild.id)).sort((a, b) => b[1].points - a[1].points).slice(0, 10);
+  const medals = ['🥇', '🥈', '🥉'];
+  return new EmbedBuilder()
+    .setTitle(`🏆 ${guild.name} のクイズランキング`)
+    .setDescription(scores.length
+      ? scores.map(([userId, s], i) => `${medals[i] || `${i + 1}.`} <@${userId}> — **${s.points}**点（正解 ${s.correct} / 参加 ${s.played}回）`).join('\n')
+      : 'まだ記録がありません');
+}
+
+// a multiple-choice round: everyone may click once, every correct click scores by speed
+async function runChoiceRound(channel, quiz, number, total, limitMs) {
+  const choices = quiz.choices.slice(0, 5);
+  const row = new ActionRowBuilder().addComponents(choices.map((c, i) =>
+    new ButtonBuilder().setCustomId(`quiz:${i}`).setLabel(c.slice(0, 80)).setStyle(ButtonStyle.Primary)));
+  const message = await channel.send({ content: `❓ **第${number}問 / ${total}**（${limitMs / 1000}秒）\n${quiz.question}`, components: [row] });
+  const startedAt = Date.now();
+  const answered = new Map(); // userId -> { correct, points }
+  await new Promise(resolve => {
+    const collector = message.createMessageComponentCollector({ time: limitMs });
+    collector.on('collect', async button => {
+      if (answered.has(button.user.id)) return button.reply({ content: '回答済みです', flags: 64 }).catch(()=>{});
+      const pick = choices[Number(button.customId.split(':')[1])];
+      const correct = pick === quiz.answer; // no fuzzy matching between similar-looking choices
+      answered.set(button.user.id, { correct, points: correct ? speedPoints(Date.now() - startedAt, limitMs) : 0 });
+      await button.reply({ content: `「${pick}」で回答しました`, flags: 64 }).catch(()=>{});
+    });
+    collector.on('end', resolve);
+  });
+  await message.edit({ components: [new ActionRowBuilder().addComponents(row.components.map(b => ButtonBuilder.from(b).setDisabled(true)))] }).catch(()=>{});
+  return answered;
+}
+
+// a free-text round: first correct message wins; wrong guesses get a ❌ and may try again
+async function runTextRound(channel, quiz, number, total, limitMs) {
+  await channel.send(`❓ **第${number}問 / ${total}**（${limitMs / 1000}秒・チャットで回答）\n${quiz.question}`);
+  const startedAt = Date.now();
+  const answered = new Map();
+  await new Promise(resolve => {
+    const collector = channel.createMessageCollector({ filter: m => !m.author.bot, time: limitMs });
+    collector.on('collect', m => {
+      if (isCorrectAnswer(quiz, m.content)) {
+        answered.set(m.author.id, { correct: true, points: speedPoints(Date.now() - startedAt, limitMs) });
+        m.react('⭕').catch(()=>{});
+        collector.stop('answered');
+      } else {
+        if (!answered.has(m.author.id)) answered.set(m.author.id, { correct: false, points: 0 });
+        m.react('❌').catch(()=>{});
+      }
+    });
+    collector.on('end', resolve);
+  });
+  return answered;
+}
+
+async function runQuizSession(interaction, pool, { rounds, seconds, category }) {
+  const channel = interaction.channel;
+  const picked = [...pool].sort(() => Math.random() - 0.5).slice(0, rounds);
+  const session = { startedBy: interaction.user.id, stopped: false };
+  activeQuizSessions.set(channel.id, session);
+  const totals = new Map();
+  const participants = new Set();
+  try {
+    await interaction.editReply({ content: `🎯 クイズ開始！ 全${picked.length}問${category ? `（カテゴリ: ${category}）` : ''}・各${seconds}秒。早く正解するほど高得点です。` });
+    for (let i = 0; i < picked.length && !session.stopped; i++) {
+      const quiz = picked[i];
+      const limitMs = seconds * 1000;
+      const answered = quiz.choices?.length
+        ? await runChoiceRound(channel, quiz, i + 1, picked.length, limitMs)
+        : await runTextRound(channel, quiz, i + 1, picked.length, limitMs);
+      const winners = [];
+      for (const [userId, result] of answered) {
+        participants.add(userId);
+        const t = totals.get(userId) || { points: 0, correct: 0 };
+        t.points += result.points;
+        if (result.correct) { t.correct++; winners.push(`<@${userId}> +${result.points}`); }
+        totals.set(userId, t);
+      }
+      await channel.send(`✅ 正解: **${quiz.answer}**${winners.length ? `\n${winners.join('、')}` : '\n正解者なし'}`).catch(()=>{});
+      if (i < picked.length - 1) await delay(2000);
+    }
+    const ranking = [...totals.entries()].sort((a, b) => b[1].points - a[1].points);
+    const lines = ranking.map(([userId, t], i) => `${i + 1}. <@${userId}> — ${t.points}点（${t.correct}問正解）`);
+    await channel.send(`🏁 クイズ終了！\n${lines.length ? lines.join('\n') : '参加者はいませんでした'}`).catch(()=>{});
+    if (participants.size) await recordQuizScores(interaction.guildId, totals, participants);
+  } finally {
+    activeQuizSessions.delete(channel.id);
+  }
+}
+
+// "a|b|c" or "a, b, c" option text -> trimmed list
+function splitQuizList(text) {
+  return (text || '').split(/[|,、]/).map(s => s.trim()).filter(Boolean);
+}
+
+async function handleQuizCommand(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const opt = interaction.options;
+  const guildId = interaction.guildId;
+  const bank = await loadQuizBank(guildId);
+  const reply = content => interaction.followUp({ content, flags: 64 });
+  if (['edit', 'delete', 'import'].includes(sub) && !hasCommandPermission(interaction)) return reply('管理者権限が必要です');
+
+  if (sub === 'list') {
+    return interaction.followUp({ embeds: [buildQuizListEmbed(bank, { page: opt.getInteger('page') || 1, category: opt.getString('category') })], flags: 64 });
+  }
+  if (sub === 'add') {
+    let quiz, error;
+    await updateQuizBank(guildId, current => {
+      try {
+        quiz = normalizeQuiz({
+          question: opt.getString('question'),
+          answer: opt.getString('answer'),
+          alternates: opt.getString('alternates'),
+          choices: opt.getString('choices'),
+          category: opt.getString('category'),
+          difficulty: opt.getString('difficulty')
+        }, nextQuizId(current));
+      } catch (e) {
+        error = e.message;
+        return null;
+      }
+      return [...current, quiz];
+    });
+    if (error) return reply(`⚠️ ${error}`);
+    return reply(`✅ 問題 #${quiz.id} を追加しました（${quiz.choices ? '選択式' : '記述式'}・${quiz.category}・${QUIZ_DIFFICULTIES[quiz.difficulty]}）`);
+  }
+  if (sub === 'edit' || sub === 'delete') {
+    const id = opt.getInteger('id');
+    const changes = {};
+    for (const key of ['question', 'answer', 'alternates', 'choices', 'category', 'difficulty']) {
+      const value = sub === 'edit' ? opt.getString(key) : null;
+      if (value !== null) changes[key] = value === '-' && ['alternates', 'choices'].includes(key) ? [] : value;
+    }
+    if (sub === 'edit' && !Object.keys(changes).length) return reply('⚠️ 変更する項目を指定してください（別解・選択肢は - で削除）');
+    let found = null, error;
+    await updateQuizBank(guildId, current => {
+      found = current.find(q => q.id === id) || null;
+      if (!found) return null;
+      if (sub === 'delete') return current.filter(q => q.id !== id);
+      try {
+        const updated = normalizeQuiz({ ...found, ...changes }, id);
+        return current.map(q => (q.id === id ? updated : q));
+      } catch (e) {
+        error = e.message;
+        return null;
+      }
+    });
+    if (!found) return reply(`⚠️ 問題 #${id} が見つかりません`);
+    if (error) return reply(`⚠️ ${error}`);
+    if (sub === 'delete') return reply(`🗑️ 問題 #${id} を削除しました: ${found.question.slice(0, 100)}`);
+    return reply(`✏️ 問題 #${id} を更新しました`);
+  }
+  if (sub === 'export') {
+    const format = opt.getString('format') || 'json';
+    const category = opt.getString('category');
+    const selected = category ? bank.filter(q => q.category === category) : bank;
+    if (!selected.length) return reply('⚠️ 書き出す問題がありません');
+    const body = format === 'csv' ? '\uFEFF' + quizzesToCsv(selected) : JSON.stringify(selected.map(({ id, ...q }) => q), null, 2);
+    return interaction.followUp({ content: `📤 ${selected.length}問を書き出しました`, files: [{ attachment: Buffer.from(body, 'utf-8'), name: `quizzes-${interaction.guildId}.${format}` }], flags: 64 });
+  }
+  if (sub === 'import') {
+    const upload = opt.getAttachment('file');
+    if (upload.size > QUIZ_IMPORT_MAX_BYTES) return reply('⚠️ ファイルが大きすぎます（1MBまで）');
+    let parsed;
+    try {
+      parsed = parseQuizFile(upload.name, await downloadBuffer(upload.url));
+    } catch (e) {
+      return reply(`⚠️ 読み込めませんでした: ${e.message}`);
+    }
+    if (!parsed.quizzes.length) return reply(`⚠️ 取り込める問題がありませんでした\n${parsed.errors.slice(0, 10).join('\n')}`);
+    const replace = opt.getString('mode') === 'replace';
+    let total = 0;
+    // the download above happens outside the lock; only the merge runs inside it
+    await updateQuizBank(guildId, current => {
+      const next = replace ? [] : [...current];
+      for (const quiz of parsed.quizzes) next.push({ ...quiz, id: nextQuizId(next) });
+      total = next.length;
+      return next;
+    });
+    const skipped = parsed.errors.length ? `\n⚠️ ${parsed.errors.length}件をスキップ:\n${parsed.errors.slice(0, 10).join('\n')}` : '';
+    return reply(`📥 ${parsed.quizzes.length}問を${replace ? '置き換えで' : '追加で'}取り込みました（合計 ${total}問）${skipped}`);
+  }
+  if (sub === 'leaderboard') {
+    return interaction.followUp({ embeds: [await buildLeaderboardEmbed(interaction.guild)] });
+  }
+  if (sub === 'stop') {
+    const session = activeQuizSessions.get(interaction.channelId);
+    if (!session) return interaction.followUp({ content: 'このチャンネルで進行中のクイズはありません', flags: 64 });
+    if (session.startedBy !== interaction.user.id && !hasManageGuildPermission(interaction.member)) return interaction.followUp({ content: '開始した人か管理者のみ止められます', flags: 64 });
+    session.stopped = true;
+    return interaction.followUp({ content: '⏹️ 現在の問題が終わったらクイズを終了します', flags: 64 });
+  }
+  if (sub === 'start') {
+    if (activeQuizSessions.has(interaction.channelId)) return interaction.followUp({ content: 'このチャンネルでは既にクイズが進行中です', flags: 64 });
+    const category = opt.getString('category');
+    const difficulty = opt.getString('difficulty');
+    const pool = bank.filter(q => (!category || q.category === category) && (!difficulty || q.difficulty === difficulty));
+    if (!pool.length) return interaction.followUp({ content: '問題がありません', flags: 64 });
+    return runQuizSession(interaction, pool, {
+      rounds: opt.getInteger('rounds') || QUIZ_DEFAULT_ROUNDS,
+      seconds: opt.getInteger('seconds') || QUIZ_DEFAULT_SECONDS,
+      category
+    });
+  }
+}
+
+// ===== Anti-nuke guard (audit log watcher) =====
+const ANTINUKE_LOG_CHANNEL_ID = process.env.ANTINUKE_LOG_CHANNEL_ID || null;
+const ANTINUKE_INCIDENT_MS = 60 * 1000; // after a trigger, further actions by the same executor are undone right away
+const ANTINUKE_KINDS = {
+  channelDelete: { event: AuditLogEvent.ChannelDelete, label: 'チャンネル削除' },
+  channelCreate: { event: AuditLogEvent.ChannelCreate, label: 'チャンネル作成' },
+  roleDelete: { event: AuditLogEvent.RoleDelete, label: 'ロール削除' },
+  roleCreate: { event: AuditLogEvent.RoleCreate, label: 'ロール作成' }
+};
+const ANTINUKE_DEFAULTS = {
+  enabled: false,
+  action: 'quarantine', // 'quarantine': strip roles and add the quarantine role / 'strip': strip roles only
+  quarantineRoleId: null,
+  logChannelId: null,
+  restore: true,
+  whitelist: [],
+  thresholds: {
+    channelDelete: { count: 3, seconds: 10 },
+    channelCreate: { count: 5, seconds: 10 },
+    roleDelete: { count: 3, seconds: 10 },
+    roleCreate: { count: 5, seconds: 10 }
+  }
+};
+const antiNukeActivity = new Map(); // `${guildId}:${executorId}` -> { events, incidentAt, chain }
+
+// guild settings: antinuke = partial overrides of ANTINUKE_DEFAULTS
+async function loadAntiNukeConfig(guildId) {
+  const stored = (await getSettings('guild', guildId)).antinuke || {};
+  return { ...ANTINUKE_DEFAULTS, ...stored, thresholds: { ...ANTINUKE_DEFAULTS.thresholds, ...stored.thresholds } };
+}
+
+async function updateAntiNukeConfig(guildId, mutate) {
+  await updateSettings('guild', guildId, s => {
+    s.antinuke = s.antinuke || {};
+    mutate(s.antinuke);
+  });
+  return loadAntiNukeConfig(guildId);
+}
+
+function auditTargetName(entry) {
+  const change = entry.changes?.find(c => c.key === 'name');
+  return change?.old ?? change?.new ?? entry.target?.name ?? entry.targetId;
+}
+
+async function handleAuditLogEntry(entry, guild) {
+  const kind = Object.keys(ANTINUKE_KINDS).find(k => ANTINUKE_KINDS[k].event === entry.action);
+  if (!kind || !entry.executorId) return;
+  const executorId = entry.executorId;
+  // our own restores and the owner are never treated as an attack
+  if (executorId === client.user.id || executorId === guild.ownerId) return;
+  const config = await loadAntiNukeConfig(guild.id);
+  if (!config.enabled || config.whitelist.includes(executorId)) return;
+
+  const key = `${guild.id}:${executorId}`;
+  const state = antiNukeActivity.get(key) || { events: [], incidentAt: 0, chain: Promise.resolve() };
+  antiNukeActivity.set(key, state);
+  const now = Date.now();
+  const event = { kind, at: now, id: entry.targetId, name: auditTargetName(entry) };
+  const windowMs = Math.max(...Object.values(config.thresholds).map(t => t.seconds)) * 1000;
+  state.events = state.events.filter(e => now - e.at <= windowMs);
+  state.events.push(event);
+
+  if (now - state.incidentAt <= ANTINUKE_INCIDENT_MS) {
+    state.chain = state.chain.then(() => respondToNuke(guild, config, executorId, [event], { followUp: true }));
+    return state.chain;
+  }
+  const limit = config.thresholds[kind];
+  const recent = state.events.filter(e => e.kind === kind && now - e.at <= limit.seconds * 1000);
+  if (recent.length < limit.count) return;
+  state.incidentAt = now;
+  const events = state.events;
+  state.events = [];
+  state.chain = state.chain.then(() => respondToNuke(guild, config, executorId, events, { trigger: `${ANTINUKE_KINDS[kind].label} ${recent.length}件 / ${limit.seconds}秒` }));
+  return state.chain;
+}
+
+// strip every role we can remove; integration (managed) roles can't be removed, so their permissions are cleared instead
+async function quarantineMember(guild, config, executorId) {
+  const member = await guild.members.fetch(executorId).catch(() => null);
+  if (!member) return { ok: false, text: 'メンバーが見つかりません（退出済み？）' };
+  const reason = 'Anti-nuke: quarantine';
+  let quarantine = null;
+  const steps = [];
+  if (config.action === 'quarantine') {
+    quarantine = guild.roles.cache.get(config.quarantineRoleId) || guild.roles.cache.find(r => r.name === 'Quarantine');
+    if (!quarantine) {
+      // without a quarantine role the roles are still stripped
+      try {
+        quarantine = await discordQueue.run(() => guild.roles.create({ name: 'Quarantine', permissions: [], reason }), { route: '/guilds/:id/roles', major: guild.id, label: 'quarantine role' });
+      } catch (e) {
+        steps.push(`隔離ロールを作成できませんでした: ${describeDiscordError(e.cause || e)}`);
+      }
+    }
+  }
+  const keep = member.roles.cache.filter(r => r.managed || r.id === guild.id).map(r => r.id);
+  try {
+    await discordQueue.run(() => member.roles.set(quarantine ? [...keep, quarantine.id] : keep, reason), { route: '/guilds/:id/members/:id', major: guild.id, label: `quarantine ${member.user.tag}` });
+    steps.push(quarantine ? `ロールを外し ${quarantine.name} を付与` : 'ロールをすべて解除');
+  } catch (e) {
+    return { ok: false, text: [...steps, `ロール変更に失敗: ${describeDiscordError(e.cause || e)}`].join(' / ') };
+  }
+  for (const role of member.roles.cache.filter(r => r.managed && r.permissions.bitfield !== 0n).values()) {
+    try {
+      await discordQueue.run(() => role.setPermissions(0n, reason), { route: '/guilds/:id/roles/:id', major: guild.id, label: `managed role ${role.name}` });
+      steps.push(`連携ロール ${role.name} の権限を解除`);
+    } catch (e) { steps.push(`連携ロール ${role.name} の権限解除に失敗: ${describeDiscordError(e.cause || e)}`); }
+  }
+  return { ok: true, text: steps.join(' / ') };
+}
+
+function overwriteOptions(ow) {
+  const options = {};
+  new PermissionsBitField(BigInt(ow.allow)).toArray().forEach(flag => { options[flag] = true; });
+  new PermissionsBitField(BigInt(ow.deny)).toArray().forEach(flag => { options[flag] = false; });
+  return options;
+}
+
+// undo the executor's creates and recreate their deletes from the latest backup
+async function repairNukedEntities(guild, config, events) {
+  const result = { restored: [], removed: [], failures: [] };
+  const fail = (what, e) => result.failures.push(`${what}: ${describeDiscordError(e.cause || e)}`);
+  const reason = 'Anti-nuke: repair';
+
+  for (const e of events.filter(x => x.kind === 'channelCreate')) {
+    const live = guild.channels.cache.get(e.id);
+    if (!live) continue;
+    try {
+      await discordQueue.run(() => live.delete(reason), { route: '/channels/:id', major: live.id });
+      result.removed.push(`#${live.name}`);
+    } catch (err) { fail(`channel delete ${live.name}`, err); }
+  }
+  for (const e of events.filter(x => x.kind === 'roleCreate')) {
+    const live = guild.roles.cache.get(e.id);
+    if (!live) continue;
+    try {
+      await discordQueue.run(() => live.delete(reason), { route: '/guilds/:id/roles/:id', major: guild.id });
+      result.removed.push(`@${live.name}`);
+    } catch (err) { fail(`role delete ${live.name}`, err); }
+  }
+
+  const deletedRoles = events.filter(x => x.kind === 'roleDelete');
+  const deletedChannels = events.filter(x => x.kind === 'channelDelete');
+  if (!config.restore || (!deletedRoles.length && !deletedChannels.length)) return result;
+  const backup = await loadGuildBackup(guild.id).catch(() => null);
+  if (!backup) {
+    result.failures.push('バックアップがないため削除されたものを復元できません');
+    return result;
+  }
+
+  const everyone = findBackupEveryone(backup);
+  const liveRoles = [...guild.roles.cache.filter(r => !r.managed && r.id !== guild.id).values()];
+  const { matched } = matchEntities(backup.roles.filter(r => r !== everyone), liveRoles);
+  const roleIdMap = new Map([...matched].map(([bid, live]) => [bid, live.id]));
+  if (everyone) roleIdMap.set(everyone.id, guild.id);
+
+  const recreatedRoles = new Map(); // backup role id -> new role id
+  for (const e of deletedRoles) {
+    const r = backup.roles.find(x => x.id === e.id) || backup.roles.find(x => x.name === e.name && !roleIdMap.has(x.id));
+    if (!r) { result.failures.push(`@${e.name}: バックアップにありません`); continue; }
+    try {
+      const created = await discordQueue.run(() => guild.roles.create({ name: r.name, color: r.color, hoist: r.hoist, mentionable: r.mentionable, permissions: BigInt(r.permissions), reason }), { route: '/guilds/:id/roles', major: guild.id });
+      roleIdMap.set(r.id, created.id);
+      recreatedRoles.set(r.id, created.id);
+      result.restored.push(`@${r.name}`);
+    } catch (err) { fail(`role create ${r.name}`, err); }
+  }
+  if (recreatedRoles.size) {
+    // hand the recreated roles back to their members and put them back into surviving channels' overwrites
+    const grants = Object.entries(backup.memberRoles || {})
+      .map(([userId, ids]) => ({ member: guild.members.cache.get(userId), ids: ids.filter(id => recreatedRoles.has(id)).map(id => recreatedRoles.get(id)) }))
+      .filter(x => x.member && x.ids.length);
+    const grantResult = await discordQueue.settle(grants, ({ member, ids }) => ({
+      fn: () => member.roles.add(ids, reason), route: '/guilds/:id/members/:id/roles/:id', major: guild.id, label: `member roles ${member.user.tag}`
+    }));
+    grantResult.failures.forEach(f => result.failures.push(`${f.entity}: ${f.error}`));
+    const overwrites = backup.channels.flatMap(ch => {
+      const live = guild.channels.cache.get(ch.id);
+      return live ? (ch.overwrites || []).filter(ow => ow.type === 0 && recreatedRoles.has(ow.id)).map(ow => ({ live, ow })) : [];
+    });
+    const owResult = await discordQueue.settle(overwrites, ({ live, ow }) => ({
+      fn: () => live.permissionOverwrites.create(recreatedRoles.get(ow.id), overwriteOptions(ow), { reason }), route: '/channels/:id', major: live.id, label: `overwrites ${live.name}`
+    }));
+    owResult.failures.forEach(f => result.failures.push(`${f.entity}: ${f.error}`));
+  }
+
+  // categories first so recreated children (and orphaned survivors) can be put back under them
+  const channelIdMap = new Map();
+  const toCreate = deletedChannels
+    .map(e => ({ e, ch: backup.channels.find(x => x.id === e.id) }))
+    .sort((a, b) => (a.ch?.type === ChannelType.GuildCategory ? 0 : 1) - (b.ch?.type === ChannelType.GuildCategory ? 0 : 1));
+  for (const { e, ch } of toCreate) {
+    if (!ch) { result.failures.push(`#${e.name}: バックアップにありません`); continue; }
+    const parent = ch.parentId ? (channelIdMap.get(ch.parentId) || (guild.channels.cache.has(ch.parentId) ? ch.parentId : null)) : null;
+    try {
+      const payload = buildChannelPayload(ch, parent, reason);
+      payload.permissionOverwrites = mapBackupOverwrites(ch.overwrites, roleIdMap, guild);
+      const created = await discordQueue.run(() => guild.channels.create(payload), { route: '/guilds/:id/channels', major: guild.id });
+      channelIdMap.set(ch.id, created.id);
+      result.restored.push(`#${ch.name}`);
+    } catch (err) { fail(`channel create ${ch.name}`, err); }
+  }
+  const orphans = backup.channels
+    .filter(ch => channelIdMap.has(ch.parentId) && guild.channels.cache.get(ch.id) && !guild.channels.cache.get(ch.id).parentId);
+  const parentResult = await discordQueue.settle(orphans, ch => ({
+    fn: () => guild.channels.cache.get(ch.id).setParent(channelIdMap.get(ch.parentId), { lockPermissions: false, reason }),
+    route: '/channels/:id', major: ch.id, label: `parent ${ch.name}`
+  }));
+  parentResult.failures.forEach(f => result.failures.push(`${f.entity}: ${f.error}`));
+  return result;
+}
+
+async function respondToNuke(guild, config, executorId, events, { trigger = null, followUp = false } = {}) {
+  try {
+    // a failed quarantine must not stop the repair or the report
+    const punished = followUp ? null : await quarantineMember(guild, config, executorId)
+      .catch(e => ({ ok: false, text: `隔離に失敗: ${describeDiscordError(e.cause || e)}` }));
+    const repaired = await repairNukedEntities(guild, config, events)
+      .catch(e => ({ restored: [], removed: [], failures: [`復元処理に失敗: ${describeDiscordError(e.cause || e)}`] }));
+    const counts = Object.keys(ANTINUKE_KINDS)
+      .map(k => [ANTINUKE_KINDS[k].label, events.filter(e => e.kind === k).length])
+      .filter(([, n]) => n).map(([label, n]) => `${label} ${n}件`).join(' / ');
+    const list = items => (items.length ? items.join(', ').slice(0, 1000) : 'なし');
+    const embed = new EmbedBuilder()
+      .setTitle(followUp ? '🛡️ アンチNuke: 追加の操作を取り消しました' : '🛡️ アンチNuke発動')
+      .setColor(0xE74C3C)
+      .addFields(
+        { name: '実行者', value: `<@${executorId}> (${executorId})`, inline: true },
+        { name: '検知', value: trigger || counts || '-', inline: true },
+        ...(punished ? [{ name: '対応', value: `${punished.ok ? '✅' : '⚠️'} ${punished.text}` }] : []),
+        { name: '復元', value: list(repaired.restored) },
+        { name: '作成の取り消し', value: list(repaired.removed) },
+        ...(repaired.failures.length ? [{ name: '失敗', value: repaired.failures.slice(0, 10).join('\n').slice(0, 1000) }] : [])
+      )
+      .setTimestamp();
+    console.warn(`anti-nuke ${guild.id}: ${executorId} ${trigger || counts}`);
+    const logChannel = guild.channels.cache.get(config.logChannelId || ANTINUKE_LOG_CHANNEL_ID);
+    if (logChannel?.isTextBased?.()) await logChannel.send({ embeds: [embed] }).catch(e => console.warn('anti-nuke report failed:', e.message));
+  } catch (e) {
+    console.error('anti-nuke response error', e);
+  }
+}
+
+async function handleAntiNukeCommand(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const opt = interaction.options;
+  const guild = interaction.guild;
+  const reply = content => interaction.followUp({ content, flags: 64 });
+  // a compromised admin must not be able to switch the guard off or whitelist themselves
+  if (sub !== 'status' && interaction.user.id !== guild.ownerId) return reply('この設定はサーバーオーナーのみ変更できます');
+  if (sub === 'status' && !hasCommandPermission(interaction)) return reply('管理者権限が必要です');
+
+  let config = await loadAntiNukeConfig(guild.id);
+  if (sub === 'config') {
+    config = await updateAntiNukeConfig(guild.id, c => {
+      const enabled = opt.getBoolean('enabled');
+      const action = opt.getString('action');
+      const role = opt.getRole('quarantine_role');
+      const logChannel = opt.getChannel('log_channel');
+      const restore = opt.getBoolean('restore');
+      if (enabled !== null) c.enabled = enabled;
+      if (action) c.action = action;
+      if (role) c.quarantineRoleId = role.id;
+      if (logChannel) c.logChannelId = logChannel.id;
+      if (restore !== null) c.restore = restore;
+    });
+  } else if (sub === 'threshold') {
+    const kind = opt.getString('event');
+    config = await updateAntiNukeConfig(guild.id, c => {
+      c.thresholds = { ...c.thresholds, [kind]: { count: opt.getInteger('count'), seconds: opt.getInteger('seconds') } };
+    });
+  } else if (sub === 'whitelist') {
+    const user = opt.getUser('user');
+    const add = opt.getString('action') === 'add';
+    config = await updateAntiNukeConfig(guild.id, c => {
+      const list = new Set(c.whitelist || []);
+      if (add) list.add(user.id); else list.delete(user.id);
+      c.whitelist = [...list];
+    });
+  }
+
+  const me = guild.members.me;
+  const missing = ['ViewAuditLog', 'ManageRoles', 'ManageChannels'].filter(p => !me?.permissions.has(PermissionsBitField.Flags[p]));
+  const lines = [
+    `🛡️ アンチNuke: ${config.enabled ? '有効' : '無効'}`,
+    `対応: ${config.action === 'quarantine' ? `隔離ロール（${config.quarantineRoleId ? `<@&${config.quarantineRoleId}>` : 'Quarantine'}）` : 'ロール解除のみ'} / 自動復元: ${config.restore ? 'する' : 'しない'}`,
+    `ログ: ${config.logChannelId ? `<#${config.logChannelId}>` : ANTINUKE_LOG_CHANNEL_ID ? `<#${ANTINUKE_LOG_CHANNEL_ID}>（環境変数）` : '未設定'}`,
+    `しきい値: ${Object.entries(config.thresholds).map(([k, t]) => `${ANTINUKE_KINDS[k].label} ${t.count}件/${t.seconds}秒`).join('、')}`,
+    `ホワイトリスト: ${config.whitelist.length ? config.whitelist.map(id => `<@${id}>`).join(' ') : 'なし'}`
+  ];
+  if (missing.length) lines.push(`⚠️ Botに必要な権限がありません: ${missing.join(', ')}`);
+  return reply(lines.join('\n'));
+}
+
+// ===== Command permissions (/perms) and confirmation prompts =====
+const CONFIRM_TIMEOUT = 60 * 1000;
+const CLEAR_CONFIRM_THRESHOLD = parseInt(process.env.CLEAR_CONFIRM_THRESHOLD || '100', 10) || 100;
+const PERMS_TARGET_TYPES = ['role', 'user', 'channel'];
+let commandNames = []; // "cmd" and "cmd sub", filled in by registerCommands for /perms
+const permittedInteractions = new WeakSet(); // invocations a /perms rule explicitly allowed
+
+function listCommandNames(commandsJson) {
+  const names = [];
+  for (const c of commandsJson) {
+    if (c.name === 'perms' || (c.type && c.type !== ApplicationCommandType.ChatInput)) continue; // /perms always needs ManageGuild so nobody can lock the admins out
+    names.push(c.name);
+    for (const o of c.options || []) if (o.type === 1) names.push(`${c.name} ${o.name}`);
+  }
+  return names;
+}
+
+// guild settings: perms = { "clear" | "quiz add": { allow: ["role:<id>", "user:<id>", "channel:<id>"], deny: [...] } }
+// user rules beat channel rules, which beat role rules. Allowed channels restrict where the command works,
+// allowed users/roles skip the built-in ManageGuild check, and any deny wins over the defaults
+function evaluatePermRule(rule, { userId, roleIds, channelIds }) {
+  const allow = rule.allow || [];
+  const deny = rule.deny || [];
+  const hit = (list, type, ids) => ids.some(id => list.includes(`${type}:${id}`));
+  if (hit(deny, 'user', [userId])) return 'deny';
+  if (hit(allow, 'user', [userId])) return 'allow';
+  if (hit(deny, 'channel', channelIds)) return 'deny';
+  if (allow.some(t => t.startsWith('channel:')) && !hit(allow, 'channel', channelIds)) return 'deny';
+  if (hit(allow, 'role', roleIds)) return 'allow';
+  if (hit(deny, 'role', roleIds)) return 'deny';
+  return null;
+}
+
+// 'allow' / 'deny', or null when no rule applies and the command's own check decides
+async function resolveCommandPermission(interaction) {
+  const guild = interaction.guild;
+  if (!guild || interaction.commandName === 'perms' || interaction.user.id === guild.ownerId) return null;
+  const rules = (await getSettings('guild', guild.id)).perms || {};
+  const sub = interaction.options?.getSubcommand?.(false);
+  const context = {
+    userId: interaction.user.id,
+    // @everyone shares the guild's ID, so a rule on it applies to every member
+    roleIds: [guild.id, ...(interaction.member?.roles?.cache?.keys() || [])],
+    // a category rule covers the channels in it, a channel rule covers its threads
+    channelIds: [interaction.channelId, interaction.channel?.parentId].filter(Boolean)
+  };
+  for (const key of sub ? [`${interaction.commandName} ${sub}`, interaction.commandName] : [interaction.commandName]) {
+    const verdict = rules[key] ? evaluatePermRule(rules[key], context) : null;
+    if (verdict) return verdict;
+  }
+  return null;
+}
+
+// the ManageGuild default, unless a /perms rule explicitly allowed this invocation
+function hasCommandPermission(interaction) {
+  const ok = permittedInteractions.has(interaction) || hasManageGuildPermission(interaction.member);
+  if (!ok) noteAudit(interaction, { result: 'denied' });
+  return ok;
+}
+
+function formatPermTarget(target, guildId) {
+  const [type, id] = target.split(':');
+  if (type === 'role') return id === guildId ? '@everyone' : `<@&${id}>`;
+  return type === 'user' ? `<@${id}>` : `<#${id}>`;
+}
+
+function formatPermRules(rules, guildId, only = null) {
+  const keys = Object.keys(rules).filter(k => !only || k === only).sort();
+  if (!keys.length) return only ? `ℹ️ /${only} にはルールがありません（既定の権限で動作します）` : 'ℹ️ ルールはありません（すべて既定の権限で動作します）';
+  return keys.map(k => {
+    const { allow = [], deny = [] } = rules[k];
+    const parts = [];
+    if (allow.length) parts.push(`✅ ${allow.map(t => formatPermTarget(t, guildId)).join(' ')}`);
+    if (deny.length) parts.push(`⛔ ${deny.map(t => formatPermTarget(t, guildId)).join(' ')}`);
+    return `**/${k}** ${parts.join(' / ')}`;
+  }).join('\n');
+}
+
+async function handlePermsCommand(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const opt = interaction.options;
+  const guildId = interaction.guildId;
+  const reply = content => interaction.followUp({ content: content.slice(0, 2000), flags: 64, allowedMentions: { parse: [] } });
+  if (!hasManageGuildPermission(interaction.member)) return reply('管理者権限が必要です');
+
+  const key = (opt.getString('command') || '').trim().replace(/^\//, '').replace(/\s+/g, ' ').toLowerCase() || null;
+  if (key && !commandNames.includes(key)) return reply(`⚠️ /${key} は設定できるコマンドではありません`);
+  if (sub === 'list') return reply(formatPermRules((await getSettings('guild', guildId)).perms || {}, guildId, key));
+
+  const targets = [
+    opt.getRole('role') && `role:${opt.getRole('role').id}`,
+    opt.getUser('user') && `user:${opt.getUser('user').id}`,
+    opt.getChannel('channel') && `channel:${opt.getChannel('channel').id}`
+  ].filter(Boolean);
+  if (sub !== 'remove' && !targets.length) return reply('⚠️ role / user / channel のいずれかを指定してください');
+
+  const next = await updateSettings('guild', guildId, s => {
+    s.perms = s.perms || {};
+    const rule = s.perms[key] || { allow: [], deny: [] };
+    if (sub === 'remove' && !targets.length) {
+      delete s.perms[key];
+      return;
+    }
+    // a target is either allowed or denied, setting one side replaces the other
+    rule.allow = rule.allow.filter(t => !targets.includes(t));
+    rule.deny = rule.deny.filter(t => !targets.includes(t));
+    if (sub !== 'remove') rule[sub].push(...targets);
+    if (rule.allow.length || rule.deny.length) s.perms[key] = rule;
+    else delete s.perms[key];
+  });
+  const verb = { allow: '許可しました', deny: '禁止しました', remove: 'ルールを削除しました' }[sub];
+  return reply(`✅ /${key} を${targets.length ? ` ${targets.map(t => formatPermTarget(t, guildId)).join(' ')} に対して` : 'すべて'}${verb}\n${formatPermRules(next.perms || {}, guildId, key)}`);
+}
+
+// ask the invoker before something destructive runs; false on cancel or timeout
+async function confirmAction(interaction, summary, { label = '実行する' } = {}) {
+  const row = new ActionRowBuilder().addComponents(
+    new ButtonBuilder().setCustomId('confirm:yes').setLabel(label).setStyle(ButtonStyle.Danger),
+    new ButtonBuilder().setCustomId('confirm:no').setLabel('キャンセル').setStyle(ButtonStyle.Secondary)
+  );
+  const prompt = await interaction.followUp({ content: `⚠️ 実行前の確認\n${summary}`.slice(0, 2000), components: [row], flags: 64 });
+  const choice = await prompt.awaitMessageComponent({ filter: i => i.user.id === interaction.user.id, time: CONFIRM_TIMEOUT }).catch(() => null);
+  if (!choice) {
+    noteAudit(interaction, { result: 'cancelled', error: 'confirmation timed out' });
+    await interaction.editReply({ message: prompt, content: '⌛ 確認がなかったため中止しました', components: [] }).catch(()=>{});
+    return false;
+  }
+  const ok = choice.customId === 'confirm:yes';
+  if (!ok) noteAudit(interaction, { result: 'cancelled' });
+  await choice.update({ content: ok ? '▶️ 実行します' : '🚫 キャンセルしました', components: [] }).catch(()=>{});
+  return ok;
+}
+
+function countBackupMessages(backup, replayCap = Infinity) {
+  return Object.values(backup.messages || {}).reduce((n, list) => n + Math.min(list.length, replayCap), 0);
 }
 
-// ===== Backup Functions (local only) =====
-async function collectGuildBackup(guild) {
+async function summarizeFullRestore(guild, backup, replayCap) {
   await guild.roles.fetch();
   await guild.channels.fetch();
+  const roles = guild.roles.cache.filter(r => !r.managed && r.id !== guild.id).size;
+  const lines = [
+    `🧨 スナップショット \`${backup.meta?.snapshotId || '?'}\` から完全復元します`,
+    `削除: チャンネル ${guild.channels.cache.size} 件 / ロール ${roles} 件（このサーバーの既存のものすべて）`,
+    `作成: チャンネル ${backup.channels.length} 件 / ロール ${backup.roles.filter(r => r !== findBackupEveryone(backup)).length} 件 / 絵文字 ${backup.emojis?.length || 0} 件 / スタンプ ${backup.stickers?.length || 0} 件`
+  ];
+  const messages = countBackupMessages(backup, replayCap);
+  if (messages) lines.push(`メッセージ再投稿: ${messages} 件`);
+  return lines.join('\n');
+}
 
-  const roles = guild.roles.cache.filter(r => !r.managed)
-    .sort((a, b) => a.position - b.position)
-    .map(r => ({
-      id: r.id,
-      name: r.name,
-      color: r.color,
-      hoist: r.hoist,
-      position: r.position,
-      mentionable: r.mentionable,
-      permissions: r.permissions.bitfield.toString()
-    }));
+function summarizeReconcile(plan) {
+  const r = plan.roles, c = plan.channels;
+  return [
+    `🔧 スナップショット \`${plan.snapshotId || '?'}\` との差分を適用します（変更 ${countRestorePlan(plan)} 件）`,
+    `削除: チャンネル ${c.delete.length} 件 / ロール ${r.delete.length} 件`,
+    `作成: チャンネル ${c.create.length} 件 / ロール ${r.create.length} 件`,
+    `更新: チャンネル ${c.update.length} 件 / ロール ${r.update.length} 件 / 権限上書き ${plan.overwrites.length} 件`,
+    '詳細は mode:plan で確認できます'
+  ].join('\n');
+}
 
-  const channels = guild.channels.cache.sort((a, b) => a.rawPosition - b.rawPosition).map(ch => {
-    const base = {
-      id: ch.id,
-      name: ch.name,
-      type: ch.type,
-      parentId: ch.parentId || null,
-      position: ch.rawPosition,
-      rateLimitPerUser: ch.rateLimitPerUser || 0,
-      nsfw: !!ch.nsfw,
-      topic: ch.topic || null,
-      bitrate: ch.bitrate || null,
-      userLimit: ch.userLimit || null
-    };
-    const overwrites = [];
-    if (ch.permissionOverwrites?.cache?.size) {
-      ch.permissionOverwrites.cache.forEach(ow => {
-        if (ow.type === 0) overwrites.push({
-          id: ow.id,
-          allow: ow.allow.bitfield.toString(),
-          deny: ow.deny.bitfield.toString(),
-          type: 0
-        });
-      });
-    }
-    return { ...base, overwrites };
-  });
+// ===== Moderation audit log (append-only JSONL per guild, optional mod-log channel) =====
+const AUDITED_COMMANDS = ['backup', 'restore', 'nuke', 'clear', 'transcript', 'perms', 'antinuke', 'auditlog', 'translate link', 'translate unlink', 'translate flags'];
+const AUDIT_READ_ONLY = ['auditlog search', 'perms list', 'antinuke status'];
+const AUDIT_SEARCH_MAX = 50;
+const AUDIT_RESULT_LABELS = { ok: '✅ 成功', partial: '⚠️ 一部失敗', error: '❌ エラー', cancelled: '🚫 キャンセル', denied: '⛔ 権限なし' };
+const AUDIT_RESULT_COLORS = { ok: 0x57f287, partial: 0xfee75c, error: 0xed4245, cancelled: 0x99aab5, denied: 0xed4245 };
+const auditContexts = new WeakMap(); // interaction -> entry being filled in while the command runs
+const auditWrites = new Map(); // guildId -> pending append
 
-  const meta = { guildId: guild.id, name: guild.name, iconURL: guild.iconURL ? guild.iconURL({ size: 512 }) : null, savedAt: new Date().toISOString() };
-  return { meta, roles, channels };
+// one JSONL file per guild and month where the backend can append (plain local);
+// otherwise one small object per entry under the month's folder so nothing is ever rewritten
+function auditLogKey(guildId, month) {
+  return `auditlog/${guildId}/${month}.jsonl`;
 }
 
-function saveGuildBackup(guildId, data) {
-  if (!fs.existsSync(BACKUP_DIR)) fs.mkdirSync(BACKUP_DIR, { recursive: true });
-  const file = path.join(BACKUP_DIR, `${guildId}.json`);
-  fs.writeFileSync(file, JSON.stringify(data, null, 2), 'utf-8');
-  return file;
+function auditEntryKey(entry) {
+  return `auditlog/${entry.guildId}/${entry.at.slice(0, 7)}/${entry.at.replace(/[:.]/g, '-')}-${Math.random().toString(36).slice(2, 8)}.json`;
 }
 
-function loadGuildBackup(guildId) {
-  const file = path.join(BACKUP_DIR, `${guildId}.json`);
-  if (!fs.existsSync(file)) return null;
-  return JSON.parse(fs.readFileSync(file, 'utf-8'));
+function auditCommandKey(interaction) {
+  const sub = interaction.options?.getSubcommand?.(false);
+  return sub ? `${interaction.commandName} ${sub}` : interaction.commandName;
 }
 
-// ===== Dropbox helpers for user weather prefs and quizzes/backups if desired =====
-async function uploadToDropbox(localPath, dropboxPath) {
-  if (!dbx) throw new Error('Dropbox not configured');
-  const contents = fs.readFileSync(localPath);
-  // ensure parent path exists? Dropbox handles overwrite with mode
-  return dbx.filesUpload({ path: dropboxPath, contents, mode: { '.tag': 'overwrite' } });
+// option values as typed; users/roles/channels by ID, attachments by file name
+function auditParams(interaction) {
+  const params = {};
+  const walk = options => options.forEach(o => {
+    if (o.options) walk(o.options);
+    else params[o.name] = o.attachment ? o.attachment.name : o.value;
+  });
+  walk(interaction.options?.data || []);
+  return params;
 }
 
-async function downloadFromDropbox(dropboxPath, localPath) {
-  if (!dbx) throw new Error('Dropbox not configured');
-  const res = await dbx.filesDownload({ path: dropboxPath });
-  // res.result.fileBinary may exist or res.result may contain ArrayBuffer in different SDK versions
-  const fileBinary = res.result?.fileBinary ?? res.result?.fileBlob ?? null;
-  if (fileBinary) {
-    fs.writeFileSync(localPath, fileBinary, 'binary');
-    return true;
-  } else if (res.result && res.result._response && res.result._response.body) {
-    // fallbacks
-    const body = await res.result._response.blob();
-    const buf = Buffer.from(await body.arrayBuffer());
-    fs.writeFileSync(localPath, buf);
-    return true;
-  } else {
-    throw new Error('No file content from Dropbox response');
-  }
+function beginAudit(interaction) {
+  const command = auditCommandKey(interaction);
+  const audited = AUDITED_COMMANDS.includes(interaction.commandName) || AUDITED_COMMANDS.includes(command);
+  if (!interaction.guildId || !audited || AUDIT_READ_ONLY.includes(command)) return;
+  auditContexts.set(interaction, {
+    at: new Date().toISOString(),
+    guildId: interaction.guildId,
+    channelId: interaction.channelId,
+    userId: interaction.user.id,
+    userTag: interaction.user.tag,
+    command,
+    params: auditParams(interaction),
+    result: 'ok',
+    counts: {},
+    target: null,
+    error: null,
+    durationMs: 0
+  });
 }
 
-// weather prefs save/load (local + optional Dropbox)
-async function saveUserWeatherPrefs(userId, pref) {
-  userWeatherPrefs.set(userId, pref);
-  const localDir = path.join(BACKUP_DIR, 'weather');
-  if (!fs.existsSync(localDir)) fs.mkdirSync(localDir, { recursive: true });
-  const localFile = path.join(localDir, `weather_${userId}.json`);
-  fs.writeFileSync(localFile, JSON.stringify({ pref }, null, 2), 'utf-8');
-  if (dbx) {
-    try {
-      await uploadToDropbox(localFile, `/weather/weather_${userId}.json`);
-    } catch (e) {
-      console.warn('Dropbox保存失敗：', e.message || e);
-    }
-  }
+// commands report what they did here; a no-op for interactions that aren't audited
+function noteAudit(interaction, { result, counts, target, error } = {}) {
+  const entry = interaction && auditContexts.get(interaction);
+  if (!entry) return;
+  if (result) entry.result = result;
+  if (counts) Object.assign(entry.counts, counts);
+  if (target) entry.target = target;
+  if (error) entry.error = String(error.message || error).slice(0, 500);
 }
 
-async function loadUserWeatherPrefs(userId) {
-  // first local
-  const localDir = path.join(BACKUP_DIR, 'weather');
-  const localFile = path.join(localDir, `weather_${userId}.json`);
-  if (fs.existsSync(localFile)) {
-    try {
-      const parsed = JSON.parse(fs.readFileSync(localFile, 'utf-8'));
-      userWeatherPrefs.set(userId, parsed.pref);
-      return parsed.pref;
-    } catch (e) { /* ignore */ }
+async function finishAudit(interaction) {
+  const entry = auditContexts.get(interaction);
+  if (!entry) return;
+  auditContexts.delete(interaction);
+  entry.durationMs = Date.now() - new Date(entry.at).getTime();
+  try {
+    await appendAuditEntry(entry);
+  } catch (e) {
+    console.error('audit log write failed', entry.guildId, entry.command, e.message || e);
   }
+  await postAuditEntry(entry).catch(e => console.warn('mod-log post failed', entry.guildId, e.message || e));
+}
 
-  // try Dropbox
-  if (dbx) {
-    try {
-      const tempDir = localDir;
-      if (!fs.existsSync(tempDir)) fs.mkdirSync(tempDir, { recursive: true });
-      await downloadFromDropbox(`/weather/weather_${userId}.json`, localFile);
-      const parsed = JSON.parse(fs.readFileSync(localFile, 'utf-8'));
-      userWeatherPrefs.set(userId, parsed.pref);
-      return parsed.pref;
-    } catch (e) {
-      console.warn('Dropbox読み込み失敗：', e.message || e);
+function appendAuditEntry(entry) {
+  const line = Buffer.from(`${JSON.stringify(entry)}\n`, 'utf-8');
+  const run = () => (typeof storage.append === 'function'
+    ? storage.append(auditLogKey(entry.guildId, entry.at.slice(0, 7)), line)
+    : storage.put(auditEntryKey(entry), line));
+  const result = (auditWrites.get(entry.guildId) || Promise.resolve()).then(run);
+  auditWrites.set(entry.guildId, result.catch(()=>{}));
+  return result;
+}
+
+function formatAuditParams(params) {
+  return Object.entries(params).map(([k, v]) => `${k}:${v}`).join(' ');
+}
+
+function formatAuditCounts(counts) {
+  return Object.entries(counts).map(([k, v]) => `${k} ${v}`).join(' / ');
+}
+
+function buildAuditEmbed(entry) {
+  const embed = new EmbedBuilder()
+    .setTitle(`/${entry.command}`)
+    .setColor(AUDIT_RESULT_COLORS[entry.result] ?? 0x99aab5)
+    .addFields(
+      { name: '実行者', value: `<@${entry.userId}> (${entry.userTag})`, inline: true },
+      { name: 'チャンネル', value: entry.channelId ? `<#${entry.channelId}>` : '-', inline: true },
+      { name: '結果', value: `${AUDIT_RESULT_LABELS[entry.result] || entry.result}（${(entry.durationMs / 1000).toFixed(1)}秒）`, inline: true }
+    )
+    .setTimestamp(new Date(entry.at));
+  const params = formatAuditParams(entry.params);
+  if (params) embed.addFields({ name: 'パラメータ', value: `\`${params.slice(0, 1000)}\`` });
+  const counts = formatAuditCounts(entry.counts);
+  if (counts) embed.addFields({ name: '件数', value: counts.slice(0, 1000) });
+  if (entry.target) embed.addFields({ name: '対象', value: String(entry.target).slice(0, 1000) });
+  if (entry.error) embed.addFields({ name: 'エラー', value: entry.error.slice(0, 1000) });
+  return embed;
+}
+
+async function postAuditEntry(entry) {
+  const channelId = (await getSettings('guild', entry.guildId)).auditlog?.channelId;
+  if (!channelId) return;
+  const channel = await client.channels.fetch(channelId).catch(() => null);
+  if (!channel?.isTextBased?.()) throw new Error(`mod-log channel ${channelId} not found`);
+  await channel.send({ embeds: [buildAuditEmbed(entry)], allowedMentions: { parse: [] } });
+}
+
+// newest first; only the months that overlap since/until are read
+async function searchAuditLog(guildId, { userId = null, command = null, since = null, until = null, result = null, limit = 20 } = {}) {
+  const byMonth = new Map(); // month -> keys holding its entries (the JSONL file and/or per-entry objects)
+  for (const key of await storage.list(`auditlog/${guildId}/`)) {
+    const month = key.match(/\/(\d{4}-\d{2})(?:\.jsonl|\/[^/]+\.json)$/)?.[1];
+    if (!month || (since && month < since.toISOString().slice(0, 7)) || (until && month > until.toISOString().slice(0, 7))) continue;
+    byMonth.set(month, [...(byMonth.get(month) || []), key]);
+  }
+  const found = [];
+  for (const month of [...byMonth.keys()].sort().reverse()) {
+    const entries = [];
+    for (const key of byMonth.get(month)) {
+      const buf = await storage.get(key);
+      if (!buf) continue;
+      for (const line of buf.toString('utf-8').split('\n').filter(Boolean)) {
+        try { entries.push(JSON.parse(line)); } catch { /* skip a torn line */ }
+      }
+    }
+    entries.sort((a, b) => String(b.at).localeCompare(String(a.at)));
+    for (const e of entries) {
+      const at = new Date(e.at);
+      if (userId && e.userId !== userId) continue;
+      if (command && e.command !== command && !e.command.startsWith(`${command} `)) continue;
+      if (result && e.result !== result) continue;
+      if ((since && at < since) || (until && at > until)) continue;
+      found.push(e);
+      if (found.length >= limit) return found;
     }
   }
+  return found;
+}
 
-  return null;
+function formatAuditLine(e) {
+  const params = formatAuditParams(e.params);
+  const counts = formatAuditCounts(e.counts);
+  return `<t:${Math.floor(new Date(e.at).getTime() / 1000)}:f> ${AUDIT_RESULT_LABELS[e.result] || e.result} **/${e.command}**${params ? ` \`${params.slice(0, 120)}\`` : ''}`
+    + ` — <@${e.userId}> <#${e.channelId}>${counts ? ` (${counts})` : ''} ${(e.durationMs / 1000).toFixed(1)}秒`;
 }
 
-// ===== Weather fetch (OpenWeatherMap) =====
-async function fetchWeather(pref) {
-  if (!OPENWEATHER_KEY) throw new Error('OPENWEATHER_KEY is not set');
-  // Accept pref as either 'Tokyo' or '東京都' or prefecture-like; use q param with ,JP
-  const q = encodeURIComponent(pref + ',JP');
-  const url = `https://api.openweathermap.org/data/2.5/weather?q=${q}&appid=${OPENWEATHER_KEY}&units=metric&lang=ja`;
-  const res = await fetch(url);
-  if (!res.ok) {
-    const txt = await res.text().catch(()=>null);
-    throw new Error(`OpenWeather error: ${res.status} ${res.statusText} ${txt}`);
+async function handleAuditLogCommand(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const opt = interaction.options;
+  const guildId = interaction.guildId;
+  const reply = payload => interaction.followUp({ ...(typeof payload === 'string' ? { content: payload } : payload), flags: 64, allowedMentions: { parse: [] } });
+  if (!hasCommandPermission(interaction)) return reply('管理者権限が必要です');
+
+  if (sub === 'channel') {
+    const channel = opt.getChannel('channel');
+    if (channel && !channel.isTextBased?.()) return reply('⚠️ テキストチャンネルを指定してください');
+    await updateSettings('guild', guildId, s => {
+      if (channel) s.auditlog = { ...s.auditlog, channelId: channel.id };
+      else if (s.auditlog) delete s.auditlog.channelId;
+    });
+    return reply(channel ? `📋 操作ログを <#${channel.id}> に送ります` : '📋 操作ログのチャンネル送信を止めました（ファイルへの記録は続きます）');
   }
-  const data = await res.json();
-  const desc = data.weather?.[0]?.description ?? '不明';
-  const temp = data.main?.temp ?? '?';
-  const hum = data.main?.humidity ?? '?';
-  return `🌤 ${data.name} の天気: ${desc}、気温 ${temp}°C、湿度 ${hum}%`;
-}
-
-// ===== Gemini (Google Generative) simple wrapper =====
-async function askGemini(prompt) {
-  if (!GEMINI_API_KEY) throw new Error('GEMINI_API_KEY is not set');
-  const model = GEMINI_MODEL;
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateText`;
-  // v1beta generateText expects JSON like { prompt: { text: "..." } } or the new API variant
-  // We'll attempt a simple call per API docs
-  const body = {
-    // Simplified, if this exact shape doesn't work for your key/model you'll need to follow Google's SDK
-    prompt: { text: prompt },
-    maxOutputTokens: 512,
-    temperature: 0.7
-  };
-  const res = await fetch(url + `?key=${GEMINI_API_KEY}`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body)
-  });
-  if (!res.ok) {
-    const errText = await res.text().catch(()=>null);
-    throw new Error(`Gemini API error ${res.status}: ${errText}`);
+
+  let filters;
+  try {
+    filters = {
+      userId: opt.getUser('user')?.id || null,
+      command: (opt.getString('command') || '').replace(/^\//, '').trim().toLowerCase() || null,
+      result: opt.getString('result'),
+      since: parseTimeSpec(opt.getString('since')),
+      until: parseTimeSpec(opt.getString('until')),
+      limit: opt.getInteger('limit') || 20
+    };
+  } catch (e) {
+    return reply(`⚠️ ${e.message}`);
   }
-  const j = await res.json();
-  // try multiple possible paths
-  const candidate = j?.candidates?.[0]?.content ?? j?.output?.[0]?.content ?? j?.text ?? JSON.stringify(j);
-  // candidate may be a structured object, attempt to extract text
-  if (typeof candidate === 'string') return candidate;
-  if (candidate?.text) return candidate.text;
-  return String(candidate);
+  const entries = await searchAuditLog(guildId, filters);
+  if (!entries.length) return reply('🔍 条件に合う記録はありません');
+  const text = `📋 操作ログ（新しい順 ${entries.length} 件）\n${entries.map(formatAuditLine).join('\n')}`;
+  if (text.length <= 2000) return reply(text);
+  return reply({
+    content: `📋 操作ログ ${entries.length} 件（長いためファイルで送信します）`,
+    files: [{ attachment: Buffer.from(entries.map(e => JSON.stringify(e)).join('\n') + '\n', 'utf-8'), name: `auditlog-${guildId}.jsonl` }]
+  });
 }
 
-// ===== Music playback helpers (play-dl + discord voice) =====
-async function ensureStream(urlOrQuery) {
-  // play-dl supports youtube and spotify links
-  if (play.yt_validate(urlOrQuery) === 'video') {
-    return await play.stream(urlOrQuery);
+// ===== Translation (/translate, message context menu, flag reactions, auto-translate links) =====
+const TRANSLATE_DEFAULT_LANG = 'ja';
+const TRANSLATE_LINK_MAX = 20;
+const TRANSLATE_WEBHOOK_NAME = 'Translate';
+const FLAG_TRANSLATE_COOLDOWN = 10 * 60 * 1000;
+// [Google code, Japanese name, English name, extra aliases]
+const TRANSLATE_LANGUAGES = [
+  ['ja', '日本語', 'Japanese', ['にほんご']], ['en', '英語', 'English', ['えいご']], ['zh-CN', '中国語（簡体）', 'Chinese (Simplified)', ['中国語', 'ちゅうごくご']],
+  ['zh-TW', '中国語（繁体）', 'Chinese (Traditional)', ['台湾語']], ['ko', '韓国語', 'Korean', ['かんこくご']], ['fr', 'フランス語', 'French'], ['de', 'ドイツ語', 'German'],
+  ['es', 'スペイン語', 'Spanish'], ['it', 'イタリア語', 'Italian'], ['pt', 'ポルトガル語', 'Portuguese'], ['ru', 'ロシア語', 'Russian'], ['vi', 'ベトナム語', 'Vietnamese'],
+  ['th', 'タイ語', 'Thai'], ['id', 'インドネシア語', 'Indonesian'], ['tl', 'フィリピノ語', 'Filipino', ['タガログ語']], ['ar', 'アラビア語', 'Arabic'], ['hi', 'ヒンディー語', 'Hindi'],
+  ['af', 'アフリカーンス語', 'Afrikaans'], ['sq', 'アルバニア語', 'Albanian'], ['am', 'アムハラ語', 'Amharic'], ['hy', 'アルメニア語', 'Armenian'], ['as', 'アッサム語', 'Assamese'],
+  ['ay', 'アイマラ語', 'Aymara'], ['az', 'アゼルバイジャン語', 'Azerbaijani'], ['bm', 'バンバラ語', 'Bambara'], ['eu', 'バスク語', 'Basque'], ['be', 'ベラルーシ語', 'Belarusian'],
+  ['bn', 'ベンガル語', 'Bengali'], ['bho', 'ボージュプリー語', 'Bhojpuri'], ['bs', 'ボスニア語', 'Bosnian'], ['bg', 'ブルガリア語', 'Bulgarian'], ['ca', 'カタルーニャ語', 'Catalan'],
+  ['ceb', 'セブアノ語', 'Cebuano'], ['ny', 'チェワ語', 'Chichewa'], ['co', 'コルシカ語', 'Corsican'], ['hr', 'クロアチア語', 'Croatian'], ['cs', 'チェコ語', 'Czech'],
+  ['da', 'デンマーク語', 'Danish'], ['dv', 'ディベヒ語', 'Dhivehi'], ['doi', 'ドーグリー語', 'Dogri'], ['nl', 'オランダ語', 'Dutch'], ['eo', 'エスペラント語', 'Esperanto'],
+  ['et', 'エストニア語', 'Estonian'], ['ee', 'エウェ語', 'Ewe'], ['fi', 'フィンランド語', 'Finnish'], ['fy', 'フリジア語', 'Frisian'], ['gl', 'ガリシア語', 'Galician'],
+  ['ka', 'ジョージア語', 'Georgian'], ['el', 'ギリシャ語', 'Greek'], ['gn', 'グアラニー語', 'Guarani'], ['gu', 'グジャラート語', 'Gujarati'], ['ht', 'ハイチ語', 'Haitian Creole'],
+  ['ha', 'ハウサ語', 'Hausa'], ['haw', 'ハワイ語', 'Hawaiian'], ['iw', 'ヘブライ語', 'Hebrew', ['he']], ['hmn', 'モン語', 'Hmong'], ['hu', 'ハンガリー語', 'Hungarian'],
+  ['is', 'アイスランド語', 'Icelandic'], ['ig', 'イボ語', 'Igbo'], ['ilo', 'イロカノ語', 'Ilocano'], ['ga', 'アイルランド語', 'Irish'], ['jw', 'ジャワ語', 'Javanese', ['jv']],
+  ['kn', 'カンナダ語', 'Kannada'], ['kk', 'カザフ語', 'Kazakh'], ['km', 'クメール語', 'Khmer'], ['rw', 'キニヤルワンダ語', 'Kinyarwanda'], ['gom', 'コンカニ語', 'Konkani'],
+  ['kri', 'クリオ語', 'Krio'], ['ku', 'クルド語（クルマンジー）', 'Kurdish (Kurmanji)'], ['ckb', 'クルド語（ソラニー）', 'Kurdish (Sorani)'], ['ky', 'キルギス語', 'Kyrgyz'],
+  ['lo', 'ラオ語', 'Lao'], ['la', 'ラテン語', 'Latin'], ['lv', 'ラトビア語', 'Latvian'], ['ln', 'リンガラ語', 'Lingala'], ['lt', 'リトアニア語', 'Lithuanian'],
+  ['lg', 'ルガンダ語', 'Luganda'], ['lb', 'ルクセンブルク語', 'Luxembourgish'], ['mk', 'マケドニア語', 'Macedonian'], ['mai', 'マイティリー語', 'Maithili'],
+  ['mg', 'マダガスカル語', 'Malagasy'], ['ms', 'マレー語', 'Malay'], ['ml', 'マラヤーラム語', 'Malayalam'], ['mt', 'マルタ語', 'Maltese'], ['mi', 'マオリ語', 'Maori'],
+  ['mr', 'マラーティー語', 'Marathi'], ['mni-Mtei', 'マニプリ語', 'Meiteilon (Manipuri)'], ['lus', 'ミゾ語', 'Mizo'], ['mn', 'モンゴル語', 'Mongolian'],
+  ['my', 'ミャンマー語', 'Myanmar (Burmese)', ['ビルマ語']], ['ne', 'ネパール語', 'Nepali'], ['no', 'ノルウェー語', 'Norwegian', ['nb']], ['or', 'オリヤー語', 'Odia (Oriya)'],
+  ['om', 'オロモ語', 'Oromo'], ['ps', 'パシュトー語', 'Pashto'], ['fa', 'ペルシャ語', 'Persian'], ['pl', 'ポーランド語', 'Polish'], ['pa', 'パンジャブ語', 'Punjabi'],
+  ['qu', 'ケチュア語', 'Quechua'], ['ro', 'ルーマニア語', 'Romanian'], ['sm', 'サモア語', 'Samoan'], ['sa', 'サンスクリット語', 'Sanskrit'], ['gd', 'スコットランド・ゲール語', 'Scots Gaelic'],
+  ['nso', 'セペディ語', 'Sepedi'], ['sr', 'セルビア語', 'Serbian'], ['st', 'ソト語', 'Sesotho'], ['sn', 'ショナ語', 'Shona'], ['sd', 'シンド語', 'Sindhi'],
+  ['si', 'シンハラ語', 'Sinhala'], ['sk', 'スロバキア語', 'Slovak'], ['sl', 'スロベニア語', 'Slovenian'], ['so', 'ソマリ語', 'Somali'], ['su', 'スンダ語', 'Sundanese'],
+  ['sw', 'スワヒリ語', 'Swahili'], ['sv', 'スウェーデン語', 'Swedish'], ['tg', 'タジク語', 'Tajik'], ['ta', 'タミル語', 'Tamil'], ['tt', 'タタール語', 'Tatar'],
+  ['te', 'テルグ語', 'Telugu'], ['ti', 'ティグリニャ語', 'Tigrinya'], ['ts', 'ツォンガ語', 'Tsonga'], ['tr', 'トルコ語', 'Turkish'], ['tk', 'トルクメン語', 'Turkmen'],
+  ['ak', 'トウィ語', 'Twi'], ['uk', 'ウクライナ語', 'Ukrainian'], ['ur', 'ウルドゥー語', 'Urdu'], ['ug', 'ウイグル語', 'Uyghur'], ['uz', 'ウズベク語', 'Uzbek'],
+  ['cy', 'ウェールズ語', 'Welsh'], ['xh', 'コサ語', 'Xhosa'], ['yi', 'イディッシュ語', 'Yiddish'], ['yo', 'ヨルバ語', 'Yoruba'], ['zu', 'ズールー語', 'Zulu']
+];
+// country (regional indicator pair) -> language for flag reactions
+const FLAG_LANGUAGES = {
+  JP: 'ja', US: 'en', GB: 'en', AU: 'en', CA: 'en', NZ: 'en', IE: 'en', CN: 'zh-CN', TW: 'zh-TW', HK: 'zh-TW', KR: 'ko',
+  FR: 'fr', DE: 'de', AT: 'de', CH: 'de', ES: 'es', MX: 'es', AR: 'es', CO: 'es', CL: 'es', PE: 'es', IT: 'it', PT: 'pt', BR: 'pt',
+  RU: 'ru', UA: 'uk', PL: 'pl', NL: 'nl', BE: 'nl', SE: 'sv', NO: 'no', DK: 'da', FI: 'fi', IS: 'is', GR: 'el', TR: 'tr', IL: 'iw',
+  SA: 'ar', AE: 'ar', EG: 'ar', IR: 'fa', IN: 'hi', PK: 'ur', BD: 'bn', TH: 'th', VN: 'vi', ID: 'id', MY: 'ms', PH: 'tl',
+  CZ: 'cs', SK: 'sk', HU: 'hu', RO: 'ro', BG: 'bg', RS: 'sr', HR: 'hr', SI: 'sl', LT: 'lt', LV: 'lv', EE: 'et', KH: 'km', LA: 'lo',
+  MM: 'my', MN: 'mn', NP: 'ne', LK: 'si', KE: 'sw', TZ: 'sw', ZA: 'af', ET: 'am', GE: 'ka', AM: 'hy', AZ: 'az', KZ: 'kk', UZ: 'uz'
+};
+const translateWebhooks = new Map(); // channelId -> webhook used for auto-translate links
+const flagTranslations = new Map(); // `${messageId}:${lang}` -> time, so one flag isn't answered twice
+
+function normalizeLanguageQuery(str) {
+  return String(str || '').trim().normalize('NFKC').toLowerCase();
+}
+
+// a code, a Japanese or English name, or an alias; null when nothing matches
+// namesOnly skips the code and code-like aliases ("he", "nb"), for input where words like "no" or "hi" are common
+function findLanguage(query, { namesOnly = false } = {}) {
+  const q = normalizeLanguageQuery(query);
+  if (!q) return null;
+  return TRANSLATE_LANGUAGES.find(([code, ja, en, aliases = []]) => {
+    const names = namesOnly ? [ja, en, ...aliases.filter(a => !/^[a-z]{2,3}$/.test(a))] : [code, ja, en, ...aliases];
+    return names.some(n => normalizeLanguageQuery(n) === q);
+  }) || null;
+}
+
+function languageName(code) {
+  if (!code || code === 'auto') return '自動検出';
+  const lang = findLanguage(code);
+  return lang ? lang[1] : code;
+}
+
+// Discord locales are mostly "xx" or "xx-YY"; Chinese keeps its region
+function languageForLocale(locale) {
+  return findLanguage(locale)?.[0] || findLanguage(String(locale || '').split('-')[0])?.[0] || TRANSLATE_DEFAULT_LANG;
+}
+
+function languageChoices(query, { auto = false } = {}) {
+  const q = normalizeLanguageQuery(query);
+  const list = TRANSLATE_LANGUAGES
+    .filter(([code, ja, en, aliases = []]) => !q || [code, ja, en, ...aliases].some(n => normalizeLanguageQuery(n).includes(q)))
+    .map(([code, ja, en]) => ({ name: `${ja} (${en}) - ${code}`, value: code }));
+  return (auto && (!q || '自動検出 auto'.includes(q)) ? [{ name: '自動検出 (auto)', value: 'auto' }, ...list] : list).slice(0, 25);
+}
+
+// 🇯🇵 -> "JP"
+function flagCountry(emoji) {
+  const points = [...String(emoji || '')].map(c => c.codePointAt(0));
+  if (points.length !== 2 || points.some(p => p < 0x1f1e6 || p > 0x1f1ff)) return null;
+  return String.fromCharCode(...points.map(p => p - 0x1f1e6 + 65));
+}
+
+// with no target language: Japanese, or English when the text already is Japanese
+async function translateText(text, { to = null, from = 'auto' } = {}) {
+  let res = await translateWithRetry(text, { from, to: to || TRANSLATE_DEFAULT_LANG });
+  let target = to || TRANSLATE_DEFAULT_LANG;
+  const detected = res.raw?.src || from;
+  if (!to && detected === TRANSLATE_DEFAULT_LANG) {
+    target = 'en';
+    res = await translateWithRetry(text, { from, to: target });
   }
-  // If playlist or search: search first
-  const search = await play.search(urlOrQuery, { limit: 1 });
-  if (search && search.length > 0) {
-    return await play.stream(search[0].url);
+  return { text: res.text, from: detected, to: target };
+}
+
+function buildTranslationEmbed(result, { original = null, url = null } = {}) {
+  const embed = new EmbedBuilder()
+    .setColor(0x4285f4)
+    .setDescription(result.text.slice(0, 4096) || '（空）')
+    .setFooter({ text: `${languageName(result.from)} → ${languageName(result.to)}` });
+  if (original) embed.addFields({ name: '原文', value: original.slice(0, 1024) });
+  if (url) embed.setURL(url).setTitle('元のメッセージ');
+  return embed;
+}
+
+// guild settings: translate = { flags: bool (default on), links: [{ source, target, to, from, createdBy }] }
+async function loadTranslateSettings(guildId) {
+  const stored = (await getSettings('guild', guildId)).translate || {};
+  return { flags: stored.flags !== false, links: stored.links || [] };
+}
+
+async function getTranslateWebhook(channel) {
+  if (translateWebhooks.has(channel.id)) return translateWebhooks.get(channel.id);
+  const hooks = await channel.fetchWebhooks();
+  const hook = hooks.find(w => w.owner?.id === client.user.id && w.name === TRANSLATE_WEBHOOK_NAME)
+    || await channel.createWebhook({ name: TRANSLATE_WEBHOOK_NAME, reason: 'Auto-translate link' });
+  translateWebhooks.set(channel.id, hook);
+  return hook;
+}
+
+// Discord rejects webhook usernames containing "discord"
+function webhookUsername(name) {
+  return String(name || 'unknown').replace(/discord/gi, 'disc0rd').slice(0, 80);
+}
+
+async function mirrorTranslatedMessage(msg, link) {
+  const target = msg.guild.channels.cache.get(link.target) || await msg.guild.channels.fetch(link.target).catch(() => null);
+  if (!target) return;
+  const text = msg.content ? (await translateText(msg.content, { to: link.to, from: link.from || 'auto' })).text : '';
+  const files = [...msg.attachments.values()].map(a => a.url);
+  const content = [text, ...files].filter(Boolean).join('\n').slice(0, DISCORD_MESSAGE_MAX);
+  if (!content) return;
+  const payload = {
+    content,
+    username: webhookUsername(msg.member?.displayName || msg.author.globalName || msg.author.username),
+    avatarURL: (msg.member || msg.author).displayAvatarURL({ extension: 'png', size: 128 }),
+    allowedMentions: { parse: [] }
+  };
+  try {
+    await (await getTranslateWebhook(target)).send(payload);
+  } catch (e) {
+    // the webhook may have been deleted by hand; make a new one once
+    translateWebhooks.delete(target.id);
+    await (await getTranslateWebhook(target)).send(payload);
   }
-  throw new Error('No playable result');
 }
 
-async function playMusic(interaction, urlOrQuery) {
-  const member = interaction.member;
-  const voiceChannel = member?.voice?.channel;
-  if (!voiceChannel) {
-    await interaction.followUp({ content: '先にボイスチャンネルに参加してください', flags: 64 }).catch(()=>{});
-    return;
+async function handleAutoTranslate(msg) {
+  if (!msg.guild || msg.webhookId) return;
+  const { links } = await loadTranslateSettings(msg.guild.id);
+  for (const link of links.filter(l => l.source === msg.channelId)) {
+    try { await mirrorTranslatedMessage(msg, link); }
+    catch (e) { console.warn('auto-translate failed', msg.channelId, link.target, e.message || e); }
   }
+}
+
+async function handleFlagReaction(reaction, user) {
+  if (user.bot) return;
+  const country = flagCountry(reaction.emoji.name);
+  const to = country && FLAG_LANGUAGES[country];
+  if (!to) return;
+  if (reaction.partial) await reaction.fetch();
+  const message = reaction.message.partial ? await reaction.message.fetch() : reaction.message;
+  if (!message.guild || !message.content) return;
+  if (!(await loadTranslateSettings(message.guild.id)).flags) return;
+  const key = `${message.id}:${to}`;
+  const now = Date.now();
+  for (const [k, at] of flagTranslations) if (now - at > FLAG_TRANSLATE_COOLDOWN) flagTranslations.delete(k);
+  if (flagTranslations.has(key)) return;
+  flagTranslations.set(key, now);
+  const result = await translateText(message.content, { to });
+  await message.reply({ content: `${reaction.emoji.name} <@${user.id}>`, embeds: [buildTranslationEmbed(result)], allowedMentions: { parse: [], repliedUser: false } });
+}
 
+async function handleTranslateCommand(interaction) {
+  const sub = interaction.options.getSubcommand();
+  const opt = interaction.options;
+  const reply = content => interaction.followUp({ content, flags: 64 });
+  const pickLanguage = (name, { auto = false } = {}) => {
+    const value = opt.getString(name);
+    if (!value) return null;
+    if (auto && value === 'auto') return 'auto';
+    const lang = findLanguage(value);
+    if (!lang) throw new Error(`対応していない言語です: ${value}`);
+    return lang[0];
+  };
+  let to, from;
   try {
-    // get stream
-    const stream = await ensureStream(urlOrQuery);
-    // create or reuse player for guild
-    const guildId = interaction.guildId;
-    let record = audioPlayers.get(guildId);
-    if (!record) {
-      const player = createAudioPlayer({ behaviors: { noSubscriber: NoSubscriberBehavior.Play } });
-      const connection = joinVoiceChannel({
-        channelId: voiceChannel.id,
-        guildId: interaction.guild.id,
-        adapterCreator: interaction.guild.voiceAdapterCreator
-      });
-      connection.subscribe(player);
-      record = { connection, player };
-      audioPlayers.set(guildId, record);
-      player.on('error', err => console.error('Audio player error:', err));
-      player.on(AudioPlayerStatus.Idle, () => {
-        // disconnect after idle
-        try { record.connection.destroy(); audioPlayers.delete(guildId); } catch(e){}
-      });
+    to = pickLanguage('to');
+    from = pickLanguage('from', { auto: true }) || 'auto';
+  } catch (e) {
+    return reply(`⚠️ ${e.message}`);
+  }
+
+  if (sub === 'text') {
+    const text = opt.getString('text');
+    try {
+      const result = await translateText(text, { to, from });
+      return interaction.editReply({ content: '', embeds: [buildTranslationEmbed(result, { original: text })] });
+    } catch (e) {
+      console.error('translate error', e);
+      return reply('翻訳に失敗しました');
     }
+  }
+
+  if (sub === 'links') {
+    const { links, flags } = await loadTranslateSettings(interaction.guildId);
+    const lines = links.map(l => `<#${l.source}> → <#${l.target}>（${languageName(l.from)} → ${languageName(l.to)}）`);
+    return reply(`🌐 自動翻訳リンク（${links.length} 件）\n${lines.join('\n') || 'なし'}\n国旗リアクション翻訳: ${flags ? 'オン' : 'オフ'}`);
+  }
 
-    const resource = createAudioResource(stream.stream, { inputType: stream.type });
-    record.player.play(resource);
-    await interaction.followUp({ content: `🎶 再生開始: ${urlOrQuery}`, flags: 64 }).catch(()=>{});
+  if (!hasCommandPermission(interaction)) return reply('管理者権限が必要です');
+  if (sub === 'flags') {
+    const enabled = opt.getBoolean('enabled');
+    await updateSettings('guild', interaction.guildId, s => { s.translate = { ...s.translate, flags: enabled }; });
+    return reply(`🏳️ 国旗リアクション翻訳を${enabled ? 'オン' : 'オフ'}にしました`);
+  }
+
+  const source = opt.getChannel('source');
+  const target = opt.getChannel('target');
+  if (sub === 'unlink') {
+    let removed = 0;
+    await updateSettings('guild', interaction.guildId, s => {
+      const links = s.translate?.links || [];
+      const kept = links.filter(l => !(l.source === source.id && (!target || l.target === target.id)));
+      removed = links.length - kept.length;
+      s.translate = { ...s.translate, links: kept };
+    });
+    return reply(removed ? `🔗 ${removed} 件のリンクを解除しました` : '⚠️ 該当するリンクがありません');
+  }
+
+  // link
+  const textTypes = [ChannelType.GuildText, ChannelType.GuildAnnouncement];
+  if (!textTypes.includes(source.type) || !textTypes.includes(target.type)) return reply('⚠️ テキストチャンネル同士を指定してください');
+  if (source.id === target.id) return reply('⚠️ 同じチャンネルはリンクできません');
+  if (!to) return reply('⚠️ to（翻訳先の言語）を指定してください');
+  // a link would otherwise let anyone with /translate mirror a channel they (or the bot) can't read
+  const canView = who => source.permissionsFor(who)?.has(PermissionsBitField.Flags.ViewChannel);
+  if (!canView(interaction.member)) return reply(`⚠️ ${source} を閲覧する権限がありません`);
+  if (!canView(interaction.guild.members.me)) return reply(`⚠️ Botが ${source} を閲覧できません（チャンネルを見る権限が必要です）`);
+  try {
+    await getTranslateWebhook(target);
   } catch (e) {
-    console.error('playMusic error:', e);
-    await interaction.followUp({ content: `再生に失敗しました: ${e.message}`, flags: 64 }).catch(()=>{});
+    return reply(`⚠️ ${target} にWebhookを作成できません（ウェブフックの管理権限が必要です）: ${describeDiscordError(e)}`);
   }
+  let full = false;
+  await updateSettings('guild', interaction.guildId, s => {
+    // the same source/target pair is replaced rather than duplicated
+    const links = (s.translate?.links || []).filter(l => !(l.source === source.id && l.target === target.id));
+    if (links.length >= TRANSLATE_LINK_MAX) { full = true; return; }
+    links.push({ source: source.id, target: target.id, to, from, createdBy: interaction.user.id });
+    s.translate = { ...s.translate, links };
+  });
+  if (full) return reply(`⚠️ 自動翻訳リンクは ${TRANSLATE_LINK_MAX} 件までです`);
+  return reply(`🔗 ${source} の投稿を${languageName(to)}に翻訳して ${target} に転送します`);
 }
 
-async function stopMusic(interaction) {
-  const guildId = interaction.guildId;
-  const record = audioPlayers.get(guildId);
-  if (!record) return interaction.followUp({ content: '再生中ではありません', flags: 64 }).catch(()=>{});
+async function handleTranslateContextMenu(interaction) {
+  const message = interaction.targetMessage;
+  if (!message.content) return interaction.editReply({ content: '⚠️ 翻訳できる本文がありません' });
   try {
-    record.player.stop(true);
-    record.connection.destroy();
-    audioPlayers.delete(guildId);
-    await interaction.followUp({ content: '⏹️ 再生を停止しました', flags: 64 }).catch(()=>{});
+    const result = await translateText(message.content, { to: languageForLocale(interaction.locale) });
+    return interaction.editReply({ embeds: [buildTranslationEmbed(result, { url: message.url })] });
   } catch (e) {
-    console.error('stopMusic err', e);
-    await interaction.followUp({ content: '停止に失敗しました', flags: 64 }).catch(()=>{});
+    console.error('translate error', e);
+    return interaction.editReply({ content: '翻訳に失敗しました' });
   }
 }
 
-// ===== Quiz externalization (save/load local JSON, optional Dropbox) =====
-const QUIZ_FILE = path.join(BACKUP_DIR, 'quizzes.json');
-function loadQuizzes() {
-  if (fs.existsSync(QUIZ_FILE)) {
-    try { const j = JSON.parse(fs.readFileSync(QUIZ_FILE, 'utf-8')); return j; } catch(e){ return []; }
-  }
-  return [];
+// ===== Slash command registration (guild commands recommended during development) =====
+function withDifficultyChoices(o) {
+  return o.addChoices(...Object.entries(QUIZ_DIFFICULTIES).map(([value, name]) => ({ name, value })));
 }
-function saveQuizzesToLocal(data) {
-  if (!fs.existsSync(BACKUP_DIR)) fs.mkdirSync(BACKUP_DIR, { recursive: true });
-  fs.writeFileSync(QUIZ_FILE, JSON.stringify(data, null, 2), 'utf-8');
+
+function withPlaylistScope(sc) {
+  return sc.addStringOption(o=>o.setName('scope').setDescription('個人（既定）かサーバー共有か').setRequired(false)
+    .addChoices({ name: '個人', value: 'personal' }, { name: 'サーバー', value: 'server' }));
+}
+
+function permsTargetOptions(sc) {
+  return sc.addStringOption(o=>o.setName('command').setDescription('コマンド（例: clear / quiz add）').setRequired(true).setAutocomplete(true))
+    .addRoleOption(o=>o.setName('role').setDescription('ロール（@everyone で全員）').setRequired(false))
+    .addUserOption(o=>o.setName('user').setDescription('ユーザー').setRequired(false))
+    .addChannelOption(o=>o.setName('channel').setDescription('チャンネル（カテゴリならその中すべて）').setRequired(false));
 }
-let loadedQuizzes = loadQuizzes();
 
-// ===== Slash command registration (guild commands recommended during development) =====
 async function registerCommands() {
   const commands = [
-    new SlashCommandBuilder().setName('backup').setDescription('サーバーのバックアップを保存'),
-    new SlashCommandBuilder().setName('restore').setDescription('バックアップからサーバーを復元'),
-    new SlashCommandBuilder().setName('nuke').setDescription('このチャンネルを同設定で再作成（自動バックアップ付き）'),
+    new SlashCommandBuilder()
+      .setName('backup')
+      .setDescription('サーバーのバックアップ')
+      .addSubcommand(sc=>sc.setName('create').setDescription('バックアップを保存')
+        .addStringOption(o=>o.setName('label').setDescription('ラベル（付けると自動削除されません）').setRequired(false))
+        .addIntegerOption(o=>o.setName('messages').setDescription('各テキストチャンネルの直近メッセージを保存する件数').setRequired(false).setMinValue(0).setMaxValue(1000)))
+      .addSubcommand(sc=>sc.setName('list').setDescription('保存済みバックアップ一覧'))
+      .addSubcommand(sc=>sc.setName('schedule').setDescription('自動バックアップの設定（オプションなしで現在の設定を表示）')
+        .addIntegerOption(o=>o.setName('every').setDescription('実行間隔（時間）').setRequired(false).setMinValue(1).setMaxValue(BACKUP_SCHEDULE_MAX_HOURS))
+        .addStringOption(o=>o.setName('time').setDescription('毎日の実行時刻 HH:MM（例: 03:30）').setRequired(false))
+        .addIntegerOption(o=>o.setName('messages').setDescription('各テキストチャンネルの直近メッセージを保存する件数').setRequired(false).setMinValue(0).setMaxValue(1000))
+        .addBooleanOption(o=>o.setName('dropbox').setDescription('保存したスナップショットを Dropbox にも複製する').setRequired(false))
+        .addBooleanOption(o=>o.setName('off').setDescription('自動バックアップを止める').setRequired(false)))
+      .addSubcommand(sc=>sc.setName('export').setDescription('バックアップをファイルとして書き出す')
+        .addStringOption(o=>o.setName('snapshot').setDescription('スナップショットID（省略時は最新）').setRequired(false).setAutocomplete(true))),
+    new SlashCommandBuilder()
+      .setName('restore')
+      .setDescription('バックアップからサーバーを復元')
+      .addStringOption(o=>o.setName('snapshot').setDescription('スナップショットID（省略時は最新）').setRequired(false).setAutocomplete(true))
+      .addAttachmentOption(o=>o.setName('import').setDescription('書き出したバックアップファイル（他サーバーのものも可）').setRequired(false))
+      .addStringOption(o=>o.setName('mode').setDescription('full: 全削除して再作成 / plan: 差分表示のみ / reconcile: 差分のみ適用 / cancel: 復元ジョブを中止').setRequired(false)
+        .addChoices({ name: 'full', value: 'full' }, { name: 'plan', value: 'plan' }, { name: 'reconcile', value: 'reconcile' }, { name: 'cancel', value: 'cancel' }))
+      .addIntegerOption(o=>o.setName('messages').setDescription('チャンネルごとに再投稿するメッセージ数の上限（0で再投稿しない）').setRequired(false).setMinValue(0)),
+    new SlashCommandBuilder()
+      .setName('nuke')
+      .setDescription('このチャンネルを同設定で再作成（自動バックアップ付き）')
+      .addChannelOption(o=>o.setName('log_channel').setDescription('トランスクリプトを送るチャンネル').setRequired(false)),
+    new SlashCommandBuilder()
+      .setName('antinuke')
+      .setDescription('大量削除・作成の検知と自動復元')
+      .addSubcommand(sc=>sc.setName('status').setDescription('現在の設定'))
+      .addSubcommand(sc=>sc.setName('config').setDescription('基本設定（オーナーのみ）')
+        .addBooleanOption(o=>o.setName('enabled').setDescription('有効にする').setRequired(false))
+        .addStringOption(o=>o.setName('action').setDescription('検知時の対応').setRequired(false)
+          .addChoices({ name: 'ロールを外して隔離ロールを付与', value: 'quarantine' }, { name: 'ロールを外すだけ', value: 'strip' }))
+        .addRoleOption(o=>o.setName('quarantine_role').setDescription('隔離ロール（既定: Quarantine）').setRequired(false))
+        .addChannelOption(o=>o.setName('log_channel').setDescription('報告先チャンネル').setRequired(false))
+        .addBooleanOption(o=>o.setName('restore').setDescription('削除されたものを最新バックアップから復元する').setRequired(false)))
+      .addSubcommand(sc=>sc.setName('threshold').setDescription('しきい値（オーナーのみ）')
+        .addStringOption(o=>o.setName('event').setDescription('対象の操作').setRequired(true)
+          .addChoices(...Object.entries(ANTINUKE_KINDS).map(([value, k]) => ({ name: k.label, value }))))
+        .addIntegerOption(o=>o.setName('count').setDescription('回数').setRequired(true).setMinValue(1).setMaxValue(50))
+        .addIntegerOption(o=>o.setName('seconds').setDescription('秒数').setRequired(true).setMinValue(1).setMaxValue(300)))
+      .addSubcommand(sc=>sc.setName('whitelist').setDescription('信頼するユーザー・Bot（オーナーのみ）')
+        .addStringOption(o=>o.setName('action').setDescription('追加/削除').setRequired(true)
+          .addChoices({ name: '追加', value: 'add' }, { name: '削除', value: 'remove' }))
+        .addUserOption(o=>o.setName('user').setDescription('ユーザー').setRequired(true))),
+    new SlashCommandBuilder()
+      .setName('perms')
+      .setDescription('コマンドごとの使用許可・禁止（ロール / ユーザー / チャンネル）')
+      .addSubcommand(sc=>permsTargetOptions(sc.setName('allow').setDescription('許可する（ロール・ユーザーは管理者権限なしでも使えるように、チャンネルはそこでだけ使えるように）')))
+      .addSubcommand(sc=>permsTargetOptions(sc.setName('deny').setDescription('禁止する')))
+      .addSubcommand(sc=>permsTargetOptions(sc.setName('remove').setDescription('ルールを削除（対象を省略するとそのコマンドのルールをすべて削除）')))
+      .addSubcommand(sc=>sc.setName('list').setDescription('設定中のルール')
+        .addStringOption(o=>o.setName('command').setDescription('コマンドで絞り込み').setRequired(false).setAutocomplete(true))),
+    new SlashCommandBuilder()
+      .setName('auditlog')
+      .setDescription('Botで行った管理操作の記録')
+      .addSubcommand(sc=>sc.setName('search').setDescription('記録を検索（新しい順）')
+        .addUserOption(o=>o.setName('user').setDescription('実行したユーザー').setRequired(false))
+        .addStringOption(o=>o.setName('command').setDescription('コマンド（例: clear / backup create）').setRequired(false).setAutocomplete(true))
+        .addStringOption(o=>o.setName('since').setDescription('この日時以降（例: 3d, 2025-01-01）').setRequired(false))
+        .addStringOption(o=>o.setName('until').setDescription('この日時以前').setRequired(false))
+        .addStringOption(o=>o.setName('result').setDescription('結果').setRequired(false)
+          .addChoices(...Object.entries(AUDIT_RESULT_LABELS).map(([value, name]) => ({ name, value }))))
+        .addIntegerOption(o=>o.setName('limit').setDescription(`件数（既定 20、最大 ${AUDIT_SEARCH_MAX}）`).setRequired(false).setMinValue(1).setMaxValue(AUDIT_SEARCH_MAX)))
+      .addSubcommand(sc=>sc.setName('channel').setDescription('記録をEmbedで送るチャンネル（省略で停止）')
+        .addChannelOption(o=>o.setName('channel').setDescription('モドログ用チャンネル').setRequired(false))),
+    new SlashCommandBuilder()
+      .setName('translate')
+      .setDescription('翻訳')
+      .addSubcommand(sc=>sc.setName('text').setDescription('テキストを翻訳')
+        .addStringOption(o=>o.setName('text').setDescription('翻訳する文章').setRequired(true).setMaxLength(2000))
+        .addStringOption(o=>o.setName('to').setDescription(`翻訳先（省略時は${languageName(TRANSLATE_DEFAULT_LANG)}、${languageName(TRANSLATE_DEFAULT_LANG)}の文章なら英語）`).setRequired(false).setAutocomplete(true))
+        .addStringOption(o=>o.setName('from').setDescription('翻訳元（省略時は自動検出）').setRequired(false).setAutocomplete(true)))
+      .addSubcommand(sc=>sc.setName('link').setDescription('チャンネルの投稿を翻訳して別チャンネルへ自動転送')
+        .addChannelOption(o=>o.setName('source').setDescription('転送元').setRequired(true))
+        .addChannelOption(o=>o.setName('target').setDescription('転送先').setRequired(true))
+        .addStringOption(o=>o.setName('to').setDescription('翻訳先の言語').setRequired(true).setAutocomplete(true))
+        .addStringOption(o=>o.setName('from').setDescription('翻訳元（省略時は自動検出）').setRequired(false).setAutocomplete(true)))
+      .addSubcommand(sc=>sc.setName('unlink').setDescription('自動翻訳リンクを解除')
+        .addChannelOption(o=>o.setName('source').setDescription('転送元').setRequired(true))
+        .addChannelOption(o=>o.setName('target').setDescription('転送先（省略でこのチャンネルからのリンクすべて）').setRequired(false)))
+      .addSubcommand(sc=>sc.setName('links').setDescription('自動翻訳リンクの一覧'))
+      .addSubcommand(sc=>sc.setName('flags').setDescription('国旗リアクションでの翻訳')
+        .addBooleanOption(o=>o.setName('enabled').setDescription('有効にする').setRequired(true))),
+    new ContextMenuCommandBuilder()
+      .setName('Translate message')
+      .setNameLocalizations({ ja: 'メッセージを翻訳' })
+      .setType(ApplicationCommandType.Message),
     new SlashCommandBuilder()
       .setName('clear')
       .setDescription('メッセージ一括削除')
-      .addIntegerOption(o=>o.setName('amount').setDescription('1〜1000').setRequired(true))
-      .addUserOption(o=>o.setName('user').setDescription('ユーザー指定').setRequired(false)),
+      .addIntegerOption(o=>o.setName('amount').setDescription('1〜1000').setRequired(true).setMinValue(1).setMaxValue(1000))
+      .addUserOption(o=>o.setName('user').setDescription('ユーザー指定').setRequired(false))
+      .addStringOption(o=>o.setName('contains').setDescription('この文字列を含むメッセージ').setRequired(false))
+      .addStringOption(o=>o.setName('regex').setDescription('この正規表現に一致するメッセージ').setRequired(false))
+      .addBooleanOption(o=>o.setName('bots').setDescription('Botのメッセージのみ').setRequired(false))
+      .addBooleanOption(o=>o.setName('attachments').setDescription('添付ファイル付きのみ').setRequired(false))
+      .addBooleanOption(o=>o.setName('links').setDescription('リンクを含むもののみ').setRequired(false))
+      .addBooleanOption(o=>o.setName('embeds').setDescription('埋め込み付きのみ').setRequired(false))
+      .addStringOption(o=>o.setName('before').setDescription('このメッセージIDより前').setRequired(false))
+      .addStringOption(o=>o.setName('after').setDescription('このメッセージIDより後').setRequired(false))
+      .addStringOption(o=>o.setName('since').setDescription('この時点以降（例: 30m, 2h, 3d, 2025-01-01T12:00）').setRequired(false))
+      .addStringOption(o=>o.setName('until').setDescription('この時点以前（例: 1h, 2025-01-02）').setRequired(false))
+      .addChannelOption(o=>o.setName('log_channel').setDescription('トランスクリプトを送るチャンネル').setRequired(false)),
+    new SlashCommandBuilder()
+      .setName('transcript')
+      .setDescription('チャンネルのメッセージをHTML/JSONで書き出す')
+      .addIntegerOption(o=>o.setName('limit').setDescription('最大件数（既定 500）').setRequired(false).setMinValue(1).setMaxValue(TRANSCRIPT_MAX_MESSAGES))
+      .addChannelOption(o=>o.setName('channel').setDescription('対象チャンネル（省略時はこのチャンネル）').setRequired(false))
+      .addChannelOption(o=>o.setName('log_channel').setDescription('トランスクリプトを送るチャンネル').setRequired(false)),
     new SlashCommandBuilder()
       .setName('weather')
-      .setDescription('天気設定または取得（都道府県）')
-      .addStringOption(o=>o.setName('pref').setDescription('都道府県を指定（保存する）').setRequired(false)),
+      .setDescription('天気（国内・海外）')
+      .addSubcommand(sc=>sc.setName('now').setDescription('現在の天気')
+        .addStringOption(o=>o.setName('pref').setDescription('都道府県・市区町村・郵便番号・緯度,経度（省略時は保存した地域）').setRequired(false).setAutocomplete(true)))
+      .addSubcommand(sc=>sc.setName('forecast').setDescription('24時間と5日間の予報')
+        .addStringOption(o=>o.setName('pref').setDescription('都道府県・市区町村・郵便番号・緯度,経度（省略時は保存した地域）').setRequired(false).setAutocomplete(true)))
+      .addSubcommand(sc=>sc.setName('set').setDescription('地域を保存')
+        .addStringOption(o=>o.setName('pref').setDescription('都道府県・市区町村・郵便番号・緯度,経度').setRequired(true).setAutocomplete(true)))
+      .addSubcommand(sc=>sc.setName('prefs').setDescription('単位と言語の設定')
+        .addStringOption(o=>o.setName('units').setDescription('温度の単位').setRequired(false)
+          .addChoices(...Object.entries(WEATHER_UNITS).map(([value, u]) => ({ name: u.label, value }))))
+        .addStringOption(o=>o.setName('lang').setDescription('天気の説明の言語').setRequired(false)
+          .addChoices(...Object.entries(WEATHER_LANGS).map(([value, name]) => ({ name, value })))))
+      .addSubcommand(sc=>sc.setName('daily').setDescription('毎朝の天気予報を配信')
+        .addStringOption(o=>o.setName('time').setDescription('配信時刻 HH:MM（例: 07:00）').setRequired(true))
+        .addChannelOption(o=>o.setName('channel').setDescription('投稿先チャンネル（省略時はDM）').setRequired(false).addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+        .addStringOption(o=>o.setName('pref').setDescription('都道府県・市区町村・郵便番号・緯度,経度（省略時は保存した地域）').setRequired(false).setAutocomplete(true)))
+      .addSubcommand(sc=>sc.setName('alert').setDescription('雨や気温のアラートを設定')
+        .addIntegerOption(o=>o.setName('rain').setDescription('降水確率（%）がこれ以上で通知').setRequired(false).setMinValue(1).setMaxValue(100))
+        .addNumberOption(o=>o.setName('temp_above').setDescription('気温（/weather prefs の単位）がこれ以上で通知').setRequired(false))
+        .addNumberOption(o=>o.setName('temp_below').setDescription('気温（/weather prefs の単位）がこれ以下で通知').setRequired(false))
+        .addChannelOption(o=>o.setName('channel').setDescription('通知先チャンネル（省略時はDM）').setRequired(false).addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement))
+        .addStringOption(o=>o.setName('pref').setDescription('都道府県・市区町村・郵便番号・緯度,経度（省略時は保存した地域）').setRequired(false).setAutocomplete(true)))
+      .addSubcommand(sc=>sc.setName('unsubscribe').setDescription('配信・アラートを解除')
+        .addStringOption(o=>o.setName('kind').setDescription('解除する種類（省略時は両方）').setRequired(false)
+          .addChoices({ name: '毎朝の配信', value: 'daily' }, { name: 'アラート', value: 'alert' }))
+        .addChannelOption(o=>o.setName('channel').setDescription('チャンネル（省略時はDM）').setRequired(false))),
     new SlashCommandBuilder()
       .setName('play')
       .setDescription('ボイスで曲を再生する（YouTube/Spotify等）')
@@ -383,18 +3847,114 @@ async function registerCommands() {
     new SlashCommandBuilder()
       .setName('stop')
       .setDescription('ボイス再生を停止'),
+    new SlashCommandBuilder()
+      .setName('queue')
+      .setDescription('再生キューを表示')
+      .addIntegerOption(o=>o.setName('page').setDescription('ページ').setRequired(false).setMinValue(1)),
+    new SlashCommandBuilder()
+      .setName('skip')
+      .setDescription('現在の曲をスキップ'),
+    new SlashCommandBuilder()
+      .setName('pause')
+      .setDescription('再生を一時停止'),
+    new SlashCommandBuilder()
+      .setName('resume')
+      .setDescription('一時停止した再生を再開'),
+    new SlashCommandBuilder()
+      .setName('nowplaying')
+      .setDescription('再生中の曲を表示'),
+    new SlashCommandBuilder()
+      .setName('loop')
+      .setDescription('ループ設定')
+      .addStringOption(o=>o.setName('mode').setDescription('ループの種類').setRequired(true)
+        .addChoices({ name: 'オフ', value: 'off' }, { name: '1曲リピート', value: 'track' }, { name: 'キューリピート', value: 'queue' })),
+    new SlashCommandBuilder()
+      .setName('shuffle')
+      .setDescription('キューをシャッフル'),
+    new SlashCommandBuilder()
+      .setName('remove')
+      .setDescription('キューから曲を削除')
+      .addIntegerOption(o=>o.setName('position').setDescription('キューの番号（/queue で確認）').setRequired(true).setMinValue(1)),
+    new SlashCommandBuilder()
+      .setName('volume')
+      .setDescription('音量を変更')
+      .addIntegerOption(o=>o.setName('percent').setDescription('0〜200').setRequired(true).setMinValue(0).setMaxValue(200)),
+    new SlashCommandBuilder()
+      .setName('playlist')
+      .setDescription('保存プレイリスト')
+      .addSubcommand(sc=>withPlaylistScope(sc.setName('create').setDescription('プレイリストを作成')
+        .addStringOption(o=>o.setName('name').setDescription('名前').setRequired(true).setMaxLength(50))
+        .addBooleanOption(o=>o.setName('from_queue').setDescription('現在のキューを保存する').setRequired(false))))
+      .addSubcommand(sc=>withPlaylistScope(sc.setName('add').setDescription('曲を追加（URL・プレイリストURL・検索語句）')
+        .addStringOption(o=>o.setName('name').setDescription('名前').setRequired(true).setAutocomplete(true))
+        .addStringOption(o=>o.setName('query').setDescription('URL or 検索語句').setRequired(true))))
+      .addSubcommand(sc=>withPlaylistScope(sc.setName('remove').setDescription('曲を削除')
+        .addStringOption(o=>o.setName('name').setDescription('名前').setRequired(true).setAutocomplete(true))
+        .addIntegerOption(o=>o.setName('position').setDescription('曲の番号（/playlist show で確認）').setRequired(true).setMinValue(1))))
+      .addSubcommand(sc=>withPlaylistScope(sc.setName('show').setDescription('中身を表示')
+        .addStringOption(o=>o.setName('name').setDescription('名前').setRequired(true).setAutocomplete(true))))
+      .addSubcommand(sc=>withPlaylistScope(sc.setName('play').setDescription('キューに追加して再生')
+        .addStringOption(o=>o.setName('name').setDescription('名前').setRequired(true).setAutocomplete(true))))
+      .addSubcommand(sc=>withPlaylistScope(sc.setName('delete').setDescription('プレイリストを削除')
+        .addStringOption(o=>o.setName('name').setDescription('名前').setRequired(true).setAutocomplete(true))))
+      .addSubcommand(sc=>withPlaylistScope(sc.setName('list').setDescription('プレイリスト一覧'))),
     new SlashCommandBuilder()
       .setName('gemini')
-      .setDescription('Gemini に質問する（AIチャット）')
-      .addStringOption(o=>o.setName('prompt').setDescription('質問').setRequired(true)),
+      .setDescription('AI に質問する（/ai で選んだプロバイダ・会話は続けられます）')
+      .addStringOption(o=>o.setName('prompt').setDescription('質問').setRequired(true))
+      .addBooleanOption(o=>o.setName('thread').setDescription('スレッドを作って会話する（スレッド内の発言に続けて回答）').setRequired(false))
+      .addBooleanOption(o=>o.setName('reset').setDescription('このチャンネルの会話履歴をリセットする').setRequired(false))
+      .addStringOption(o=>o.setName('system').setDescription('この会話のシステムプロンプト').setRequired(false).setMaxLength(1000)),
+    new SlashCommandBuilder()
+      .setName('ai')
+      .setDescription('このサーバーで使うAIプロバイダ設定')
+      .addSubcommand(sc=>sc.setName('show').setDescription('現在の設定を表示'))
+      .addSubcommand(sc=>sc.setName('set').setDescription('プロバイダとモデルを設定')
+        .addStringOption(o=>o.setName('provider').setDescription('プロバイダ').setRequired(true)
+          .addChoices({ name: 'Gemini', value: 'gemini' }, { name: 'OpenAI互換', value: 'openai' }, { name: 'モック（オフライン）', value: 'mock' }))
+        .addStringOption(o=>o.setName('model').setDescription('モデル名（省略時はプロバイダの既定）').setRequired(false).setMaxLength(100)))
+      .addSubcommand(sc=>sc.setName('reset').setDescription('環境変数の既定に戻す')),
     new SlashCommandBuilder()
       .setName('quiz')
-      .setDescription('クイズ機能（start/add/list）')
-      .addStringOption(o=>o.setName('action').setDescription('start/add/list').setRequired(true))
-      .addStringOption(o=>o.setName('question').setDescription('追加する問題（add時）').setRequired(false))
-      .addStringOption(o=>o.setName('answer').setDescription('追加する答え（add時）').setRequired(false))
+      .setDescription('クイズ機能')
+      .addSubcommand(sc=>sc.setName('start').setDescription('クイズを始める')
+        .addIntegerOption(o=>o.setName('rounds').setDescription(`問題数（既定 ${QUIZ_DEFAULT_ROUNDS}）`).setRequired(false).setMinValue(1).setMaxValue(20))
+        .addStringOption(o=>o.setName('category').setDescription('カテゴリ').setRequired(false).setAutocomplete(true))
+        .addStringOption(o=>withDifficultyChoices(o.setName('difficulty').setDescription('難易度').setRequired(false)))
+        .addIntegerOption(o=>o.setName('seconds').setDescription(`1問あたりの秒数（既定 ${QUIZ_DEFAULT_SECONDS}）`).setRequired(false).setMinValue(5).setMaxValue(120)))
+      .addSubcommand(sc=>sc.setName('stop').setDescription('進行中のクイズを終了'))
+      .addSubcommand(sc=>sc.setName('add').setDescription('問題を追加')
+        .addStringOption(o=>o.setName('question').setDescription('問題文').setRequired(true))
+        .addStringOption(o=>o.setName('answer').setDescription('答え').setRequired(true))
+        .addStringOption(o=>o.setName('alternates').setDescription('別解（| 区切り）').setRequired(false))
+        .addStringOption(o=>o.setName('choices').setDescription('選択肢（| 区切り・指定するとボタン式）').setRequired(false))
+        .addStringOption(o=>o.setName('category').setDescription('カテゴリ（既定 general）').setRequired(false).setAutocomplete(true))
+        .addStringOption(o=>withDifficultyChoices(o.setName('difficulty').setDescription('難易度（既定 ふつう）').setRequired(false))))
+      .addSubcommand(sc=>sc.setName('edit').setDescription('問題を編集（指定した項目だけ変更）')
+        .addIntegerOption(o=>o.setName('id').setDescription('問題番号').setRequired(true).setAutocomplete(true))
+        .addStringOption(o=>o.setName('question').setDescription('問題文').setRequired(false))
+        .addStringOption(o=>o.setName('answer').setDescription('答え').setRequired(false))
+        .addStringOption(o=>o.setName('alternates').setDescription('別解（| 区切り・- で削除）').setRequired(false))
+        .addStringOption(o=>o.setName('choices').setDescription('選択肢（| 区切り・- で記述式に戻す）').setRequired(false))
+        .addStringOption(o=>o.setName('category').setDescription('カテゴリ').setRequired(false).setAutocomplete(true))
+        .addStringOption(o=>withDifficultyChoices(o.setName('difficulty').setDescription('難易度').setRequired(false))))
+      .addSubcommand(sc=>sc.setName('delete').setDescription('問題を削除')
+        .addIntegerOption(o=>o.setName('id').setDescription('問題番号').setRequired(true).setAutocomplete(true)))
+      .addSubcommand(sc=>sc.setName('list').setDescription('問題一覧')
+        .addStringOption(o=>o.setName('category').setDescription('カテゴリで絞り込み').setRequired(false).setAutocomplete(true))
+        .addIntegerOption(o=>o.setName('page').setDescription('ページ').setRequired(false).setMinValue(1)))
+      .addSubcommand(sc=>sc.setName('import').setDescription('CSV / JSON ファイルから取り込み')
+        .addAttachmentOption(o=>o.setName('file').setDescription(`.csv（列: ${QUIZ_CSV_COLUMNS.join(',')}）または .json`).setRequired(true))
+        .addStringOption(o=>o.setName('mode').setDescription('追加（既定）か置き換えか').setRequired(false)
+          .addChoices({ name: '追加', value: 'append' }, { name: '置き換え', value: 'replace' })))
+      .addSubcommand(sc=>sc.setName('export').setDescription('問題をファイルに書き出し')
+        .addStringOption(o=>o.setName('format').setDescription('形式（既定 json）').setRequired(false)
+          .addChoices({ name: 'JSON', value: 'json' }, { name: 'CSV', value: 'csv' }))
+        .addStringOption(o=>o.setName('category').setDescription('カテゴリで絞り込み').setRequired(false).setAutocomplete(true)))
+      .addSubcommand(sc=>sc.setName('leaderboard').setDescription('サーバーのランキング'))
   ];
 
+  commandNames = listCommandNames(commands.map(c => c.toJSON()));
   const rest = new REST({ version: '10' }).setToken(TOKEN);
   try {
     if (!CLIENT_ID) {
@@ -418,56 +3978,262 @@ registerCommands().catch(console.error);
 // ===== Interaction handling =====
 client.on('interactionCreate', async interaction => {
   try {
+    if (interaction.isAutocomplete && interaction.isAutocomplete()) {
+      if (interaction.commandName === 'restore' || interaction.commandName === 'backup') {
+        const focused = (interaction.options.getFocused() || '').toLowerCase();
+        const choices = (await listGuildBackups(interaction.guildId))
+          .filter(b => !focused || b.id.toLowerCase().includes(focused) || (b.label || '').toLowerCase().includes(focused))
+          .slice(0, 25)
+          .map(b => ({ name: `${b.id}${b.label ? ` (${b.label})` : ''}`.slice(0, 100), value: b.id }));
+        await interaction.respond(choices).catch(()=>{});
+      } else if (interaction.commandName === 'weather') {
+        // prefectures first; whatever was typed stays selectable so any city or postal code still works
+        const typed = (interaction.options.getFocused() || '').trim();
+        const t = typed.normalize('NFKC').toLowerCase();
+        const prefs = JP_PREFECTURES
+          .filter(([ja, en]) => !t || ja.includes(t) || en.toLowerCase().startsWith(t))
+          .map(([ja, en]) => ({ name: `${ja} (${en})`, value: ja }));
+        const choices = typed && !prefs.some(p => p.value === typed) ? [{ name: typed.slice(0, 100), value: typed.slice(0, 100) }, ...prefs] : prefs;
+        await interaction.respond(choices.slice(0, 25)).catch(()=>{});
+      } else if (interaction.commandName === 'quiz') {
+        const focused = interaction.options.getFocused(true);
+        const text = String(focused.value || '').toLowerCase();
+        const bank = await loadQuizBank(interaction.guildId);
+        const choices = focused.name === 'id'
+          ? bank.filter(q => !text || String(q.id).startsWith(text) || q.question.toLowerCase().includes(text))
+            .slice(0, 25).map(q => ({ name: `#${q.id} ${q.question}`.slice(0, 100), value: q.id }))
+          : quizCategories(bank).filter(c => !text || c.toLowerCase().includes(text))
+            .slice(0, 25).map(c => ({ name: c, value: c }));
+        await interaction.respond(choices).catch(()=>{});
+      } else if (interaction.commandName === 'perms') {
+        const focused = (interaction.options.getFocused() || '').replace(/^\//, '').toLowerCase();
+        const choices = commandNames.filter(n => !focused || n.includes(focused)).slice(0, 25).map(n => ({ name: `/${n}`, value: n }));
+        await interaction.respond(choices).catch(()=>{});
+      } else if (interaction.commandName === 'translate') {
+        const focused = interaction.options.getFocused(true);
+        await interaction.respond(languageChoices(focused.value, { auto: focused.name === 'from' })).catch(()=>{});
+      } else if (interaction.commandName === 'auditlog') {
+        const focused = (interaction.options.getFocused() || '').replace(/^\//, '').toLowerCase();
+        const choices = [...AUDITED_COMMANDS, ...commandNames.filter(n => AUDITED_COMMANDS.includes(n.split(' ')[0]) && n.includes(' '))]
+          .filter(n => !AUDIT_READ_ONLY.includes(n) && (!focused || n.includes(focused)))
+          .slice(0, 25).map(n => ({ name: `/${n}`, value: n }));
+        await interaction.respond(choices).catch(()=>{});
+      } else if (interaction.commandName === 'playlist') {
+        const scope = interaction.options.getString('scope') || 'personal';
+        const focused = (interaction.options.getFocused() || '').toLowerCase();
+        const choices = Object.keys(await loadPlaylists(scope, playlistOwner(interaction, scope)))
+          .filter(n => !focused || n.toLowerCase().includes(focused))
+          .slice(0, 25)
+          .map(n => ({ name: n, value: n }));
+        await interaction.respond(choices).catch(()=>{});
+      }
+      return;
+    }
+
+    if (interaction.isMessageContextMenuCommand && interaction.isMessageContextMenuCommand()) {
+      await interaction.deferReply({ flags: 64 }).catch(()=>{});
+      if (interaction.commandName === 'Translate message') return await handleTranslateContextMenu(interaction);
+      return;
+    }
+
     if (interaction.isChatInputCommand && interaction.isChatInputCommand()) {
       const cmd = interaction.commandName;
       // require reply defers for long tasks
       if (!interaction.deferred && !interaction.replied) {
         try { await interaction.deferReply({ ephemeral: false }); } catch (e) {}
       }
+      beginAudit(interaction);
+      const verdict = await resolveCommandPermission(interaction);
+      if (verdict === 'deny') {
+        noteAudit(interaction, { result: 'denied', error: 'denied by /perms' });
+        return interaction.followUp({ content: '⛔ このコマンドはここでは使えません（/perms で制限されています）', flags: 64 });
+      }
+      if (verdict === 'allow') permittedInteractions.add(interaction);
 
       if (cmd === 'backup') {
-        if (!hasManageGuildPermission(interaction.member)) return interaction.followUp({ content: '管理者権限が必要です', flags: 64 });
-        const backup = await collectGuildBackup(interaction.guild);
-        saveGuildBackup(interaction.guild.id, backup);
-        await interaction.followUp({ content: '✅ バックアップを保存しました（ローカル）', flags: 64 });
+        if (!hasCommandPermission(interaction)) return interaction.followUp({ content: '管理者権限が必要です', flags: 64 });
+        const sub = interaction.options.getSubcommand();
+        if (sub === 'schedule') return handleBackupScheduleCommand(interaction);
+        if (sub === 'list') {
+          const list = await listGuildBackups(interaction.guild.id);
+          if (!list.length) return interaction.followUp({ content: '⚠️ バックアップがありません', flags: 64 });
+          const lines = list.slice(0, 20).map(formatBackupEntry);
+          const more = list.length > 20 ? `\n…ほか ${list.length - 20} 件` : '';
+          return interaction.followUp({ content: `📦 バックアップ一覧（新しい順）\n${lines.join('\n')}${more}`, flags: 64 });
+        }
+        if (sub === 'export') {
+          const snapshotId = interaction.options.getString('snapshot');
+          let backup;
+          try { backup = await loadGuildBackup(interaction.guild.id, snapshotId, { withAssets: true }); }
+          catch (e) { return interaction.followUp({ content: `⚠️ ${e.message}`, flags: 64 }); }
+          if (!backup) return interaction.followUp({ content: '⚠️ バックアップが見つかりません', flags: 64 });
+          const file = exportBackupFile(backup);
+          if (file.attachment.length > BACKUP_EXPORT_MAX_BYTES) {
+            return interaction.followUp({ content: '⚠️ バックアップが大きすぎて添付できません（メッセージ保存件数を減らしてください）', flags: 64 });
+          }
+          noteAudit(interaction, { target: backup.meta.snapshotId });
+          return interaction.followUp({ content: `📤 バックアップ \`${backup.meta.snapshotId}\` を書き出しました`, files: [file], flags: 64 });
+        }
+        const label = interaction.options.getString('label');
+        const messageLimit = interaction.options.getInteger('messages') ?? BACKUP_MESSAGES_PER_CHANNEL;
+        const backup = await collectGuildBackup(interaction.guild, { messageLimit });
+        await saveGuildBackup(interaction.guild.id, backup, label);
+        noteAudit(interaction, { target: backup.meta.snapshotId, counts: { roles: backup.roles.length, channels: backup.channels.length, messages: countBackupMessages(backup) } });
+        await interaction.followUp({ content: `✅ バックアップを保存しました（保存先: ${storage.name}） ID: \`${backup.meta.snapshotId}\``, flags: 64 });
       }
 
       else if (cmd === 'restore') {
-        if (!hasManageGuildPermission(interaction.member)) return interaction.followUp({ content: '管理者権限が必要です', flags: 64 });
-        const backup = loadGuildBackup(interaction.guild.id);
-        if (!backup) return interaction.followUp({ content: '⚠️ バックアップが見つかりません', flags: 64 });
-        await restoreGuildFromBackup(interaction.guild, backup, interaction);
+        if (!hasCommandPermission(interaction)) return interaction.followUp({ content: '管理者権限が必要です', flags: 64 });
+        const guildId = interaction.guild.id;
+        const mode = interaction.options.getString('mode') || 'full';
+        const pendingJob = loadRestoreJob(guildId);
+        if (mode === 'cancel') {
+          if (runningRestoreJobs.has(guildId)) {
+            // a full job always has its checkpoint file; without one it's a reconcile, which runs to the end
+            if (!pendingJob) return interaction.followUp({ content: '⚠️ 差分の適用中は中止できません', flags: 64 });
+            cancelledRestoreJobs.add(guildId);
+            return interaction.followUp({ content: '⏹️ 実行中の復元ジョブを次の区切りで中止します', flags: 64 });
+          }
+          if (!pendingJob) return interaction.followUp({ content: 'ℹ️ 復元ジョブはありません', flags: 64 });
+          clearRestoreJob(guildId);
+          return interaction.followUp({ content: '🗑️ 中断していた復元ジョブを破棄しました', flags: 64 });
+        }
+        // reconcile must not edit the guild underneath a full restore either
+        if (mode !== 'plan' && (runningRestoreJobs.has(guildId) || pendingJob)) {
+          const content = runningRestoreJobs.has(guildId)
+            ? '⚠️ このサーバーでは復元ジョブが実行中です（/restore mode:cancel で中止できます）'
+            : `⚠️ 中断した復元ジョブが残っています${pendingJob.parked ? `（${pendingJob.parked.error}）` : ''}。/restore mode:cancel で破棄してください`;
+          return interaction.followUp({ content, flags: 64 });
+        }
+        const snapshotId = interaction.options.getString('snapshot');
+        const upload = interaction.options.getAttachment('import');
+        let backup;
+        try {
+          if (upload) {
+            if (upload.size > BACKUP_EXPORT_MAX_BYTES * 4) throw new Error('ファイルが大きすぎます');
+            backup = adaptBackupForGuild(parseBackupFile(await downloadBuffer(upload.url)), interaction.guild);
+          } else {
+            backup = await loadGuildBackup(interaction.guild.id, snapshotId);
+          }
+        } catch (e) {
+          return interaction.followUp({ content: `⚠️ ${e.message}`.slice(0, 2000), flags: 64 });
+        }
+        if (!backup) {
+          noteAudit(interaction, { result: 'error', error: 'backup not found' });
+          return interaction.followUp({ content: snapshotId ? `⚠️ スナップショット \`${snapshotId}\` が見つかりません` : '⚠️ バックアップが見つかりません', flags: 64 });
+        }
+        noteAudit(interaction, { target: backup.meta?.snapshotId });
+        if (mode === 'plan') {
+          const plan = await planGuildRestore(interaction.guild, backup);
+          return interaction.followUp(restorePlanReply(plan));
+        }
+        const replayCap = interaction.options.getInteger('messages') ?? Infinity;
+        if (mode === 'reconcile') {
+          const plan = await planGuildRestore(interaction.guild, backup);
+          if (!countRestorePlan(plan)) return interaction.followUp({ content: '✅ 差分はありません', flags: 64 });
+          if (!(await confirmAction(interaction, summarizeReconcile(plan), { label: '差分を適用' }))) return;
+          if (runningRestoreJobs.has(guildId) || loadRestoreJob(guildId)) {
+            noteAudit(interaction, { result: 'cancelled', error: 'a restore job started meanwhile' });
+            return interaction.followUp({ content: '⚠️ 確認中に復元ジョブが開始されたため中止しました', flags: 64 });
+          }
+          // hold the same lock as a full restore while the diff is applied
+          runningRestoreJobs.add(guildId);
+          try {
+            return await reconcileGuildFromBackup(interaction.guild, backup, interaction, { replayCap });
+          } finally {
+            runningRestoreJobs.delete(guildId);
+          }
+        }
+        if (!(await confirmAction(interaction, await summarizeFullRestore(interaction.guild, backup, replayCap), { label: '完全復元する' }))) return;
+        if (upload) {
+          // a full restore job reloads its snapshot on resume, so an imported file is kept as one (plan/reconcile don't need it)
+          await saveGuildBackup(guildId, backup, `import:${backup.meta.sourceGuildName || backup.meta.name || 'file'}`.slice(0, 80));
+          noteAudit(interaction, { target: backup.meta.snapshotId });
+        }
+        // someone else may have confirmed while the prompt was open; the job is saved and locked synchronously below
+        if (runningRestoreJobs.has(interaction.guild.id) || loadRestoreJob(interaction.guild.id)) {
+          noteAudit(interaction, { result: 'cancelled', error: 'another restore job started meanwhile' });
+          return interaction.followUp({ content: '⚠️ 確認中に別の復元ジョブが開始されたため中止しました', flags: 64 });
+        }
+        const job = restoreGuildFromBackup(interaction.guild, backup, interaction, { replayCap });
+        await interaction.followUp({ content: '🛠️ 復元ジョブを開始しました。進捗はDMでお知らせします', flags: 64 }).catch(()=>{});
+        await job;
       }
 
       else if (cmd === 'nuke') {
-        if (!hasManageGuildPermission(interaction.member)) return interaction.followUp({ content: '管理者権限が必要です', flags: 64 });
-        await nukeChannel(interaction.channel, interaction);
+        if (!hasCommandPermission(interaction)) return interaction.followUp({ content: '管理者権限が必要です', flags: 64 });
+        const summary = `💥 #${interaction.channel.name} を削除し、同じ設定で作り直します\nメッセージ履歴はすべて消えます（実行前にバックアップとトランスクリプトを保存します）`;
+        if (!(await confirmAction(interaction, summary, { label: 'Nukeする' }))) return;
+        await nukeChannel(interaction.channel, interaction, { logChannel: interaction.options.getChannel('log_channel') });
+      }
+
+      else if (cmd === 'antinuke') {
+        return await handleAntiNukeCommand(interaction);
+      }
+
+      else if (cmd === 'perms') {
+        return await handlePermsCommand(interaction);
+      }
+
+      else if (cmd === 'auditlog') {
+        return await handleAuditLogCommand(interaction);
+      }
+
+      else if (cmd === 'translate') {
+        return await handleTranslateCommand(interaction);
       }
 
       else if (cmd === 'clear') {
-        if (!hasManageGuildPermission(interaction.member)) return interaction.followUp({ content: '管理者権限が必要です', flags: 64 });
-        const amount = interaction.options.getInteger('amount');
-        const user = interaction.options.getUser('user');
-        await clearMessages(interaction.channel, amount, user, interaction);
+        if (!hasCommandPermission(interaction)) return interaction.followUp({ content: '管理者権限が必要です', flags: 64 });
+        const amount = Math.max(1, Math.min(1000, interaction.options.getInteger('amount')));
+        let filters;
+        try {
+          const opt = interaction.options;
+          const ids = ['before', 'after'].map(k => opt.getString(k));
+          if (ids.some(id => id && !SNOWFLAKE_RE.test(id))) throw new Error('before / after にはメッセージIDを指定してください');
+          filters = {
+            user: opt.getUser('user'),
+            contains: opt.getString('contains'),
+            regex: opt.getString('regex'),
+            botsOnly: !!opt.getBoolean('bots'),
+            attachments: !!opt.getBoolean('attachments'),
+            links: !!opt.getBoolean('links'),
+            embeds: !!opt.getBoolean('embeds'),
+            before: ids[0],
+            after: ids[1],
+            since: parseTimeSpec(opt.getString('since')),
+            until: parseTimeSpec(opt.getString('until'))
+          };
+          buildClearFilter(filters); // surface a bad regex before anything is fetched
+        } catch (e) {
+          return interaction.followUp({ content: `⚠️ ${e.message}`, flags: 64 });
+        }
+        await clearMessages(interaction.channel, amount, filters, interaction, { logChannel: interaction.options.getChannel('log_channel') });
       }
 
-      else if (cmd === 'weather') {
-        const pref = interaction.options.getString('pref');
-        const uid = interaction.user.id;
-        if (pref) {
-          await saveUserWeatherPrefs(uid, pref);
-          return interaction.followUp({ content: `✅ 天気設定を保存しました: ${pref}`, flags: 64 });
-        } else {
-          const saved = await loadUserWeatherPrefs(uid);
-          if (!saved) return interaction.followUp({ content: '⚠️ 都道府県を指定してください（例: /weather pref:東京都）', flags: 64 });
-          try {
-            const w = await fetchWeather(saved);
-            return interaction.followUp({ content: w, flags: 64 });
-          } catch (e) {
-            console.error('天気取得失敗：', e);
-            return interaction.followUp({ content: '⚠️ 天気情報が取得できませんでした', flags: 64 });
-          }
+      else if (cmd === 'transcript') {
+        if (!hasCommandPermission(interaction)) return interaction.followUp({ content: '管理者権限が必要です', flags: 64 });
+        const channel = interaction.options.getChannel('channel') || interaction.channel;
+        if (!channel?.isTextBased?.() || !channel.messages) return interaction.followUp({ content: '⚠️ テキストチャンネルを指定してください', flags: 64 });
+        // the transcript must not reveal a channel the invoker can't read themselves
+        if (!channel.permissionsFor(interaction.member)?.has([PermissionsBitField.Flags.ViewChannel, PermissionsBitField.Flags.ReadMessageHistory])) {
+          noteAudit(interaction, { result: 'denied', target: `#${channel.name}` });
+          return interaction.followUp({ content: `⚠️ ${channel} のメッセージ履歴を閲覧する権限がありません`, flags: 64 });
         }
+        const limit = interaction.options.getInteger('limit') || 500;
+        const messages = await fetchChannelMessages(channel, limit);
+        const saved = await saveTranscript(channel, messages, `/transcript by ${interaction.user.tag}`);
+        const logChannel = interaction.options.getChannel('log_channel');
+        if (logChannel) await postTranscriptToLog(interaction.guild, saved, logChannel);
+        return interaction.followUp({
+          content: `🗂️ #${channel.name} のトランスクリプトを作成しました（${messages.length}件）`,
+          files: [{ attachment: saved.html, name: saved.htmlName }, { attachment: saved.json, name: saved.jsonName }],
+          flags: 64
+        });
+      }
+
+      else if (cmd === 'weather') {
+        return await handleWeatherCommand(interaction);
       }
 
       else if (cmd === 'play') {
@@ -479,55 +4245,59 @@ client.on('interactionCreate', async interaction => {
         return await stopMusic(interaction);
       }
 
+      else if (['queue', 'skip', 'pause', 'resume', 'nowplaying', 'loop', 'shuffle', 'remove', 'volume'].includes(cmd)) {
+        return await handleMusicCommand(interaction, cmd);
+      }
+
+      else if (cmd === 'playlist') {
+        return await handlePlaylistCommand(interaction);
+      }
+
       else if (cmd === 'gemini') {
         const prompt = interaction.options.getString('prompt');
-        try {
-          const answer = await askGemini(prompt);
-          return interaction.followUp({ content: answer, flags: 64 });
-        } catch (e) {
-          console.error('Gemini APIエラー:', e);
-          return interaction.followUp({ content: '⚠️ Gemini APIエラー: ' + (e.message || e), flags: 64 });
+        const opts = { reset: !!interaction.options.getBoolean('reset'), systemPrompt: interaction.options.getString('system') };
+        const canThread = interaction.channel && !interaction.channel.isThread() && interaction.channel.type === ChannelType.GuildText;
+        if (interaction.options.getBoolean('thread') && canThread) {
+          await interaction.editReply({ content: `🧵 ${interaction.user} の質問: ${prompt.slice(0, 1800)}` });
+          const reply = await interaction.fetchReply();
+          const thread = await reply.startThread({ name: prompt.slice(0, 90) || 'Gemini' });
+          const first = await thread.send('💭 考え中…');
+          geminiThreads.add(thread.id);
+          const writer = createAnswerWriter(p => first.edit(p), p => thread.send(p));
+          return await answerWithAI(thread.id, prompt, writer, { ...opts, guildId: interaction.guildId, reset: true });
         }
+        // conversations are kept per channel (or per thread when used inside one)
+        await interaction.editReply({ content: '💭 考え中…' });
+        const writer = createAnswerWriter(p => interaction.editReply(p), p => interaction.followUp(p));
+        return await answerWithAI(interaction.channelId, prompt, writer, { ...opts, guildId: interaction.guildId });
       }
 
-      else if (cmd === 'quiz') {
-        const action = (interaction.options.getString('action') || '').toLowerCase();
-        if (action === 'list') {
-          const qlist = loadedQuizzes.length ? loadedQuizzes.map((q,i)=>`${i+1}. ${q.question}`).join('\n') : '問題が登録されていません';
-          return interaction.followUp({ content: qlist, flags: 64 });
-        }
-        if (action === 'add') {
-          const question = interaction.options.getString('question');
-          const answer = interaction.options.getString('answer');
-          if (!question || !answer) return interaction.followUp({ content: 'add の場合は question と answer を指定してください', flags: 64 });
-          loadedQuizzes.push({ question, answer, category: 'general' });
-          saveQuizzesToLocal(loadedQuizzes);
-          if (dbx) {
-            try { await uploadToDropbox(QUIZ_FILE, '/quizzes/quizzes.json'); } catch(e){ console.warn('Dropbox quiz upload failed:', e.message); }
-          }
-          return interaction.followUp({ content: '✅ 問題を追加しました', flags: 64 });
-        }
-        if (action === 'start') {
-          if (!loadedQuizzes.length) return interaction.followUp({ content: '問題がありません', flags: 64 });
-          const idx = Math.floor(Math.random() * loadedQuizzes.length);
-          const q = loadedQuizzes[idx];
-          // send question and wait for answer in same channel for 30s
-          await interaction.followUp({ content: `❓ クイズ: ${q.question}\n回答はこのチャンネルにテキストで送ってください（30秒）`, flags: 64 });
-          const filter = m => !m.author.bot;
-          const collected = await interaction.channel.awaitMessages({ filter, max: 1, time: 30000 }).catch(()=>null);
-          if (!collected || collected.size === 0) return interaction.followUp({ content: '時間切れです。', flags: 64 });
-          const reply = collected.first().content.trim();
-          if (reply.toLowerCase() === q.answer.toLowerCase()) return interaction.followUp({ content: '✅ 正解！', flags: 64 });
-          return interaction.followUp({ content: `❌ 不正解。正解は: ${q.answer}`, flags: 64 });
+      else if (cmd === 'ai') {
+        const sub = interaction.options.getSubcommand();
+        if (sub !== 'show' && !hasCommandPermission(interaction)) return interaction.followUp({ content: '管理者権限が必要です', flags: 64 });
+        if (sub === 'set') {
+          const provider = interaction.options.getString('provider');
+          const model = interaction.options.getString('model');
+          await saveGuildAISettings(interaction.guildId, model ? { provider, model } : { provider });
+        } else if (sub === 'reset') {
+          await saveGuildAISettings(interaction.guildId, {});
         }
+        const provider = await getAIProvider(interaction.guildId);
+        const settings = await loadGuildAISettings(interaction.guildId);
+        return interaction.followUp({ content: `🤖 AIプロバイダ: **${provider.name}** / モデル: \`${provider.model}\`${settings.provider ? '' : '（環境変数の既定）'}`, flags: 64 });
+      }
 
-        return interaction.followUp({ content: 'action must be one of start/add/list', flags: 64 });
+      else if (cmd === 'quiz') {
+        return await handleQuizCommand(interaction);
       }
 
     }
   } catch (e) {
     console.error('Interaction error:', e);
+    noteAudit(interaction, { result: 'error', error: e });
     try { if (interaction && !interaction.replied) await interaction.followUp({ content: '❌ エラーが発生しました', flags: 64 }); } catch {}
+  } finally {
+    await finishAudit(interaction);
   }
 });
 
@@ -538,6 +4308,17 @@ client.on('messageCreate', async msg => {
     const content = msg.content.trim();
     const userId = msg.author.id;
 
+    // messages inside a thread opened by /gemini continue that conversation
+    if (geminiThreads.has(msg.channelId) && content && !content.startsWith('!')) {
+      await msg.channel.sendTyping().catch(()=>{});
+      const first = await msg.reply('💭 考え中…');
+      const writer = createAnswerWriter(p => first.edit(p), p => msg.channel.send(p));
+      return await answerWithAI(msg.channelId, content, writer, { guildId: msg.guildId });
+    }
+
+    // channels linked with /translate link are mirrored in the background
+    if (!content.startsWith('!')) handleAutoTranslate(msg).catch(e => console.warn('auto-translate error', e.message || e));
+
     // translation prefix: "!日本語 <text>" → translate to ja, "!英語 ..." etc
     if (content.startsWith('!')) {
       const parts = content.slice(1).trim().split(/ +/);
@@ -546,13 +4327,16 @@ client.on('messageCreate', async msg => {
       if (cmd === '天気') {
         const pref = parts.join(' ').trim();
         if (pref) {
-          await saveUserWeatherPrefs(userId, pref);
-          return msg.reply(`✅ 天気設定を保存しました: ${pref}`);
+          // no select menu here: take the best match and tell the user which one it was
+          const [place] = await geocodeLocation(pref).catch(() => []);
+          if (!place) return msg.reply(`⚠️ 「${pref}」が見つかりませんでした`);
+          await saveUserWeatherPlace(userId, place);
+          return msg.reply(`✅ 天気設定を保存しました: ${placeLabel(place)}`);
         } else {
-          const saved = await loadUserWeatherPrefs(userId);
-          if (!saved) return msg.reply('⚠️ 都道府県を指定してください: `!天気 東京` のように');
+          const saved = await loadUserWeather(userId);
+          if (!saved.place) return msg.reply('⚠️ 都道府県を指定してください: `!天気 東京` のように');
           try {
-            const w = await fetchWeather(saved);
+            const w = await fetchWeather(saved.place, saved);
             return msg.reply(w);
           } catch (e) {
             console.error('天気取得失敗：', e);
@@ -561,9 +4345,8 @@ client.on('messageCreate', async msg => {
         }
       }
 
-      // translation commands using Japanese language names
-      const langMap = { 英語:'en', えいご:'en', 日本語:'ja', にほんご:'ja', 中国語:'zh-CN', ちゅうごくご:'zh-CN', 韓国語:'ko', かんこくご:'ko', フランス語:'fr', スペイン語:'es', ドイツ語:'de' };
-      const to = langMap[cmd];
+      // translation commands using language names ("!英語", "!フランス語", "!french"); bare codes would catch "!hi" or "!no"
+      const to = findLanguage(cmd, { namesOnly: true })?.[0];
       if (to) {
         const text = parts.join(' ');
         if (!text) return;
@@ -582,102 +4365,935 @@ client.on('messageCreate', async msg => {
   }
 });
 
-// ===== Restore/Nuke/Clear/Nuke helper functions used above (re-used code) =====
-async function restoreGuildFromBackup(guild, backup, interaction) {
-  // used earlier in code; keep similar implementation
-  try {
-    // delete channels
-    for (const ch of guild.channels.cache.values()) {
-      try { await ch.delete('Restore: clear channels'); await delay(50); } catch {}
-    }
+// ===== /clear helpers (filters, paging, old message handling) =====
+const CLEAR_MAX_SCAN = parseInt(process.env.CLEAR_MAX_SCAN || '10000', 10) || 10000;
+const BULK_DELETE_MAX_AGE = 14 * 24 * 60 * 60 * 1000 - 60 * 1000; // Discord's 14 days, minus a safety minute
+const LINK_RE = /https?:\/\/\S+/i;
+const CLEAR_REGEX_BUDGET_MS = 2000;
 
-    // delete roles
-    const deletableRoles = guild.roles.cache.filter(r => !r.managed && r.id !== guild.id).sort((a,b)=>a.position-b.position);
-    for (const r of deletableRoles.values()) { try { await r.delete('Restore: clear roles'); await delay(50); } catch {} }
+// "30m" / "2h" / "3d" (relative to now) or anything Date can parse
+function parseTimeSpec(str) {
+  if (!str) return null;
+  const m = String(str).trim().match(/^(\d+)\s*(m|min|h|d|w)$/i);
+  if (m) {
+    const unit = { m: 60e3, min: 60e3, h: 3600e3, d: 86400e3, w: 604800e3 }[m[2].toLowerCase()];
+    return new Date(Date.now() - Number(m[1]) * unit);
+  }
+  const d = new Date(str);
+  if (isNaN(d.getTime())) throw new Error(`日時を解釈できません: ${str}（例: 30m, 2h, 3d, 2025-01-01T12:00）`);
+  return d;
+}
 
-    const roleIdMap = new Map();
-    for (const r of backup.roles) {
-      if (r.id === guild.id) continue;
-      try {
-        const created = await guild.roles.create({
-          name: r.name,
-          color: r.color,
-          hoist: r.hoist,
-          mentionable: r.mentionable,
-          permissions: BigInt(r.permissions),
-          reason: 'Restore: create role'
-        });
-        roleIdMap.set(r.id, created.id);
-        await delay(60);
-      } catch (e) { console.error('Role create failed:', r.name, e.message); }
+// user regexes run inside a vm with a shared time budget, so catastrophic backtracking like (a+)+$
+// aborts the /clear instead of freezing the bot for every guild
+function createRegexMatcher(re, budgetMs = CLEAR_REGEX_BUDGET_MS) {
+  const context = vm.createContext({ re, input: '' });
+  const script = new vm.Script('re.test(input)');
+  let used = 0;
+  return text => {
+    context.input = text;
+    const started = Date.now();
+    try {
+      return script.runInContext(context, { timeout: Math.max(1, budgetMs - used) });
+    } catch (e) {
+      if (e.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') throw new Error(`正規表現の評価に時間がかかりすぎるため中止しました（合計 ${budgetMs}ms まで）`);
+      throw e;
+    } finally {
+      used += Date.now() - started;
     }
+  };
+}
 
-    const channelIdMap = new Map();
-    const categories = backup.channels.filter(c=>c.type===ChannelType.GuildCategory).sort((a,b)=>a.position-b.position);
-    for (const cat of categories) {
-      try {
-        const created = await guild.channels.create({ name: cat.name, type: ChannelType.GuildCategory, position: cat.position, reason: 'Restore: create category' });
-        channelIdMap.set(cat.id, created.id);
-        if (cat.overwrites?.length) {
-          await created.permissionOverwrites.set(cat.overwrites.map(ow=>({
-            id: roleIdMap.get(ow.id) || guild.id,
-            allow: BigInt(ow.allow),
-            deny: BigInt(ow.deny),
-            type: ow.type
-          })), 'Restore: set category overwrites');
-        }
-        await delay(60);
-      } catch (e) { console.error('Category create failed:', cat.name, e.message); }
+function buildClearFilter({ user, contains, regex, botsOnly, attachments, links, embeds, since, until }) {
+  let re = null;
+  if (regex) {
+    if (regex.length > 200) throw new Error('正規表現が長すぎます（200文字まで）');
+    try { re = createRegexMatcher(new RegExp(regex, 'i')); } catch (e) { throw new Error(`正規表現が不正です: ${e.message}`); }
+  }
+  const needle = contains ? contains.toLowerCase() : null;
+  return m => {
+    if (user && m.author.id !== user.id) return false;
+    if (botsOnly && !m.author.bot) return false;
+    if (needle && !m.content.toLowerCase().includes(needle)) return false;
+    if (re && !re(m.content)) return false;
+    if (attachments && !m.attachments.size) return false;
+    if (links && !LINK_RE.test(m.content)) return false;
+    if (embeds && !m.embeds.length) return false;
+    if (since && m.createdTimestamp < since.getTime()) return false;
+    if (until && m.createdTimestamp > until.getTime()) return false;
+    return true;
+  };
+}
+
+// page backwards from `before` (or the newest message) until `amount` messages match or the window ends
+async function collectClearTargets(channel, amount, filter, { before = null, after = null, since = null, skipIds = new Set() } = {}) {
+  const matched = [];
+  let cursor = before;
+  let scanned = 0;
+  let exhausted = false;
+  while (matched.length < amount && scanned < CLEAR_MAX_SCAN) {
+    const page = await discordQueue.run(() => channel.messages.fetch({ limit: 100, ...(cursor ? { before: cursor } : {}) }), { route: '/channels/:id/messages', major: channel.id });
+    if (!page.size) { exhausted = true; break; }
+    for (const m of page.values()) {
+      scanned++;
+      // snowflakes grow over time, so anything at/below `after` or older than `since` ends the search
+      if ((after && BigInt(m.id) <= BigInt(after)) || (since && m.createdTimestamp < since.getTime())) { exhausted = true; break; }
+      if (skipIds.has(m.id) || !filter(m)) continue;
+      matched.push(m);
+      if (matched.length >= amount) break;
     }
+    if (exhausted) break;
+    cursor = page.last().id;
+    if (page.size < 100) { exhausted = true; break; }
+  }
+  return { matched, scanned, exhausted };
+}
+
+// ===== Restore/Nuke/Clear/Nuke helper functions used above (re-used code) =====
+function findBackupEveryone(backup) {
+  return backup.roles.find(r => r.id === backup.meta?.guildId || r.name === '@everyone') || null;
+}
+
+// role overwrites go through roleIdMap, member overwrites only for members still in the guild
+function mapBackupOverwrites(overwrites, roleIdMap, guild) {
+  return (overwrites || [])
+    .filter(ow => ow.type === 0 ? roleIdMap.has(ow.id) : guild.members.cache.has(ow.id))
+    .map(ow => ({
+      id: ow.type === 0 ? roleIdMap.get(ow.id) : ow.id,
+      allow: BigInt(ow.allow),
+      deny: BigInt(ow.deny),
+      type: ow.type
+    }));
+}
+
+// re-grant backed up roles to members who are still here; returns the number of members touched
+async function restoreMemberRoles(guild, backup, roleIdMap, reason) {
+  let count = 0;
+  for (const [userId, roleIds] of Object.entries(backup.memberRoles || {})) {
+    const member = guild.members.cache.get(userId);
+    if (!member) continue;
+    const ids = roleIds.map(id => roleIdMap.get(id)).filter(id => id && id !== guild.id && !member.roles.cache.has(id));
+    if (!ids.length) continue;
+    try {
+      await discordQueue.run(() => member.roles.add(ids, reason), { route: '/guilds/:id/members/:id/roles/:id', major: guild.id, label: `member ${member.user.tag}` });
+      count++;
+    } catch (e) { console.error('Member roles restore failed:', userId, e.message); }
+  }
+  return count;
+}
+
+// forum tags / default reaction may point at custom emojis, which get new IDs on restore
+function mapForumEmoji(emoji, emojiIdMap) {
+  if (!emoji) return null;
+  if (!emoji.id) return emoji.name ? { id: null, name: emoji.name } : null;
+  const id = emojiIdMap.get(emoji.id);
+  return id ? { id, name: null } : null;
+}
+
+function buildForumPayload(forum, emojiIdMap) {
+  const payload = {
+    availableTags: (forum.availableTags || []).map(t => ({ name: t.name, moderated: !!t.moderated, emoji: mapForumEmoji(t.emoji, emojiIdMap) })),
+    defaultReactionEmoji: mapForumEmoji(forum.defaultReactionEmoji, emojiIdMap)
+  };
+  for (const key of ['defaultThreadRateLimitPerUser', 'defaultAutoArchiveDuration', 'defaultSortOrder', 'defaultForumLayout']) {
+    if (forum[key] !== null && forum[key] !== undefined) payload[key] = forum[key];
+  }
+  return payload;
+}
+
+function buildChannelPayload(ch, parent, reason, emojiIdMap = new Map()) {
+  const payload = { name: ch.name, type: ch.type, parent, position: ch.position, reason };
+  if ([ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum].includes(ch.type)) {
+    payload.topic = ch.topic || null;
+    payload.nsfw = !!ch.nsfw;
+    payload.rateLimitPerUser = ch.rateLimitPerUser || 0;
+  }
+  if ([ChannelType.GuildVoice, ChannelType.GuildStageVoice].includes(ch.type)) {
+    payload.bitrate = ch.bitrate || null;
+    payload.userLimit = ch.userLimit || null;
+  }
+  if (ch.forum && FORUM_CHANNEL_TYPES.includes(ch.type)) Object.assign(payload, buildForumPayload(ch.forum, emojiIdMap));
+  return payload;
+}
+
+// emojis and stickers are never deleted by a restore; ones that already exist (same name) are reused
+async function restoreEmojisAndStickers(guild, backup, roleIdMap, reason) {
+  const emojiIdMap = new Map();
+  const failures = [];
+  await guild.emojis.fetch().catch(()=>{});
+  for (const e of backup.emojis || []) {
+    const existing = guild.emojis.cache.find(x => x.name === e.name);
+    if (existing) { emojiIdMap.set(e.id, existing.id); continue; }
+    const image = await backupAsset(backup, e.asset);
+    if (!image) { failures.push({ entity: `emoji ${e.name}`, error: '画像がバックアップにありません' }); continue; }
+    try {
+      const roles = (e.roles || []).map(id => roleIdMap.get(id)).filter(Boolean);
+      const created = await discordQueue.run(() => guild.emojis.create({ attachment: image, name: e.name, roles, reason }), { route: '/guilds/:id/emojis', major: guild.id });
+      emojiIdMap.set(e.id, created.id);
+    } catch (err) { failures.push({ entity: `emoji ${e.name}`, error: err.message }); }
+  }
 
-    const others = backup.channels.filter(c=>c.type!==ChannelType.GuildCategory).sort((a,b)=>a.position-b.position);
-    for (const ch of others) {
+  await guild.stickers.fetch().catch(()=>{});
+  for (const st of backup.stickers || []) {
+    if (guild.stickers.cache.some(x => x.name === st.name)) continue;
+    const file = await backupAsset(backup, st.asset);
+    if (!file || st.format === 3) { failures.push({ entity: `sticker ${st.name}`, error: '再アップロードできない形式か画像がありません' }); continue; }
+    try {
+      await discordQueue.run(() => guild.stickers.create({ file: { attachment: file, name: st.asset }, name: st.name, tags: st.tags || st.name, description: st.description || '', reason }), { route: '/guilds/:id/stickers', major: guild.id });
+    } catch (err) { failures.push({ entity: `sticker ${st.name}`, error: err.message }); }
+  }
+  failures.forEach(f => console.error('Restore failed:', f.entity, f.error));
+  return { emojiIdMap, failures };
+}
+
+// recreate incoming webhooks (name + avatar) in the mapped channels, skipping names that already exist there
+async function restoreWebhooks(guild, backup, channelIdMap, reason) {
+  const failures = [];
+  if (!backup.webhooks?.length) return { created: 0, failures };
+  const live = await guild.fetchWebhooks().catch(() => null);
+  let created = 0;
+  for (const w of backup.webhooks) {
+    const channel = guild.channels.cache.get(channelIdMap.get(w.channelId));
+    if (!channel?.createWebhook) continue;
+    if (live?.some(x => x.channelId === channel.id && x.name === w.name)) continue;
+    try {
+      const avatar = await backupAsset(backup, w.asset);
+      await discordQueue.run(() => channel.createWebhook({ name: w.name, avatar, reason }), { route: '/channels/:id/webhooks', major: channel.id });
+      created++;
+    } catch (err) { failures.push({ entity: `webhook ${w.name}`, error: err.message }); }
+  }
+  failures.forEach(f => console.error('Restore failed:', f.entity, f.error));
+  return { created, failures };
+}
+
+// settings that differ from the backup, with channel IDs translated through channelIdMap
+function diffGuildSettings(guild, settings, channelIdMap) {
+  if (!settings) return {};
+  const mapCh = id => (id ? channelIdMap.get(id) || null : null);
+  const want = {
+    verificationLevel: settings.verificationLevel,
+    explicitContentFilter: settings.explicitContentFilter,
+    defaultMessageNotifications: settings.defaultMessageNotifications,
+    afkChannel: mapCh(settings.afkChannelId),
+    afkTimeout: settings.afkTimeout,
+    systemChannel: mapCh(settings.systemChannelId),
+    systemChannelFlags: settings.systemChannelFlags,
+    rulesChannel: mapCh(settings.rulesChannelId),
+    publicUpdatesChannel: mapCh(settings.publicUpdatesChannelId),
+    preferredLocale: settings.preferredLocale
+  };
+  const have = {
+    verificationLevel: guild.verificationLevel,
+    explicitContentFilter: guild.explicitContentFilter,
+    defaultMessageNotifications: guild.defaultMessageNotifications,
+    afkChannel: guild.afkChannelId || null,
+    afkTimeout: guild.afkTimeout,
+    systemChannel: guild.systemChannelId || null,
+    systemChannelFlags: guild.systemChannelFlags?.bitfield ?? 0,
+    rulesChannel: guild.rulesChannelId || null,
+    publicUpdatesChannel: guild.publicUpdatesChannelId || null,
+    preferredLocale: guild.preferredLocale || null
+  };
+  const diff = {};
+  for (const key of Object.keys(want)) {
+    if (want[key] === undefined || (want[key] === null && key === 'preferredLocale')) continue;
+    if (want[key] !== have[key]) diff[key] = want[key];
+  }
+  return diff;
+}
+
+function guildIconUnchanged(guild, backup) {
+  return !!guild.icon && !!backup.meta?.iconURL && backup.meta.iconURL.includes(`/${guild.icon}.`);
+}
+
+async function restoreGuildSettings(guild, backup, channelIdMap, reason) {
+  const failures = [];
+  const diff = diffGuildSettings(guild, backup.settings, channelIdMap);
+  // rules / public updates channels only exist on community servers, so set them separately
+  const { rulesChannel, publicUpdatesChannel, ...base } = diff;
+  if (Object.keys(base).length) {
+    try { await guild.edit({ ...base, reason }); } catch (e) { failures.push({ entity: 'guild settings', error: e.message }); }
+  }
+  const community = {};
+  if (rulesChannel !== undefined) community.rulesChannel = rulesChannel;
+  if (publicUpdatesChannel !== undefined) community.publicUpdatesChannel = publicUpdatesChannel;
+  if (Object.keys(community).length) {
+    try { await guild.edit({ ...community, reason }); } catch (e) { failures.push({ entity: 'community channels', error: e.message }); }
+  }
+
+  try {
+    if (backup.meta?.name && guild.name !== backup.meta.name) await guild.setName(backup.meta.name, reason);
+  } catch (e) { failures.push({ entity: 'guild name', error: e.message }); }
+  // prefer the stored icon bytes; the CDN URL in older backups dies with the old icon hash
+  const icon = (await backupAsset(backup, backup.meta?.icon)) || backup.meta?.iconURL || null;
+  if (icon && !guildIconUnchanged(guild, backup)) {
+    try { await guild.setIcon(icon, reason); } catch (e) { failures.push({ entity: 'guild icon', error: e.message }); }
+  }
+  failures.forEach(f => console.warn('Guild meta restore failed:', f.entity, f.error));
+  return { changed: Object.keys(diff), failures };
+}
+
+// repost archived messages through a temporary webhook impersonating the original authors
+// `start` skips messages already handled by an interrupted run; onSent gets the processed count
+async function replayChannelMessages(channel, messages, backup, { cap = Infinity, start = 0, onProgress = null, onSent = null } = {}) {
+  const list = (messages || []).slice(-cap);
+  if (start >= list.length || !channel?.createWebhook) return { sent: 0, failed: 0 };
+  const hook = await discordQueue.run(() => channel.createWebhook({ name: 'Restore replay', reason: 'Restore: replay messages' }), { route: '/channels/:id/webhooks', major: channel.id, label: `#${channel.name} webhook` });
+  let sent = 0, failed = 0;
+  try {
+    for (const [i, m] of list.entries()) {
+      if (i < start) continue;
+      const files = [], lost = [];
+      for (const a of m.attachments) {
+        const buf = await backupAsset(backup, a.asset);
+        if (buf) files.push({ attachment: buf, name: a.name });
+        else lost.push(`📎 ${a.name}`);
+      }
+      const content = [m.content, ...lost].filter(Boolean).join('\n').slice(0, 2000);
+      if (!content && !files.length && !m.embeds.length) { if (onSent) onSent(i + 1); continue; }
       try {
-        const payload = { name: ch.name, type: ch.type, parent: ch.parentId ? channelIdMap.get(ch.parentId) || null : null, position: ch.position, reason: 'Restore: create channel' };
-        if ([ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum].includes(ch.type)) {
-          payload.topic = ch.topic || null;
-          payload.nsfw = !!ch.nsfw;
-          payload.rateLimitPerUser = ch.rateLimitPerUser || 0;
+        const posted = await discordQueue.run(() => hook.send({
+          content: content || undefined,
+          username: (m.author.displayName || m.author.tag).slice(0, 80),
+          avatarURL: m.author.avatarURL,
+          embeds: m.embeds.filter(e => !e.type || e.type === 'rich').slice(0, 10),
+          files,
+          allowedMentions: { parse: [] }
+        }), { route: '/webhooks/:id/:token', major: hook.id });
+        if (m.pinned) {
+          await discordQueue.run(() => channel.messages.pin(posted.id), { route: '/channels/:id/pins/:id', major: channel.id })
+            .catch(e => console.warn('replay pin failed:', e.message));
         }
-        if ([ChannelType.GuildVoice, ChannelType.GuildStageVoice].includes(ch.type)) {
-          payload.bitrate = ch.bitrate || null;
-          payload.userLimit = ch.userLimit || null;
-        }
-        const created = await guild.channels.create(payload);
-        channelIdMap.set(ch.id, created.id);
-        if (ch.overwrites?.length) {
-          await created.permissionOverwrites.set(ch.overwrites.map(ow=>({
-            id: roleIdMap.get(ow.id) || guild.id,
-            allow: BigInt(ow.allow),
-            deny: BigInt(ow.deny),
-            type: ow.type
-          })), 'Restore: set overwrites');
-        }
-        await delay(60);
-      } catch (e) { console.error('Channel create failed:', ch.name, e.message); }
+        sent++;
+      } catch (e) {
+        failed++;
+        console.error('Replay failed:', channel.name, m.id, e.message);
+      }
+      if (onSent) onSent(i + 1);
+      if (onProgress && (i + 1) % 25 === 0) await onProgress(i + 1, list.length);
     }
+  } finally {
+    await hook.delete('Restore: replay done').catch(()=>{});
+  }
+  return { sent, failed };
+}
 
+// replay every archived channel that was (re)created; progress goes to the deferred reply
+async function replayBackupMessages(guild, backup, channelIdMap, createdIds, interaction, cap) {
+  const entries = Object.entries(backup.messages || {}).filter(([bid]) => createdIds.has(channelIdMap.get(bid)));
+  let done = 0;
+  for (const [bid, messages] of entries) {
+    const channel = guild.channels.cache.get(channelIdMap.get(bid));
+    const report = async (n, total) => {
+      if (interaction) await interaction.editReply({ content: `💬 メッセージ再投稿中… #${channel.name} ${n}/${total}（チャンネル ${done + 1}/${entries.length}）` }).catch(()=>{});
+    };
     try {
-      if (backup.meta?.name && guild.name !== backup.meta.name) await guild.setName(backup.meta.name, 'Restore: guild name');
-      if (backup.meta?.iconURL) await guild.setIcon(backup.meta.iconURL, 'Restore: guild icon');
-    } catch (e) { console.warn('Guild meta restore failed:', e.message); }
+      await report(0, Math.min(messages.length, cap));
+      await replayChannelMessages(channel, messages, backup, { cap, onProgress: report });
+    } catch (e) { console.error('Replay channel failed:', channel?.name, e.message); }
+    done++;
+  }
+}
 
-    try {
-      const textChannels = guild.channels.cache.filter(c=>c.isTextBased());
-      if (textChannels.size > 0) await textChannels.random().send('✅ バックアップを復元完了しました');
-    } catch {}
+// ===== Restore jobs (full restore with a persisted checkpoint, resumed on startup) =====
+// BACKUP_DIR/<guildId>/restore-job.json holds the phase, what is already done and the ID maps so far
+const RESTORE_PHASES = ['deleteChannels', 'deleteRoles', 'roles', 'emojis', 'channels', 'memberRoles', 'webhooks', 'settings', 'replay'];
+const RESTORE_PHASE_LABELS = {
+  deleteChannels: 'チャンネル削除',
+  deleteRoles: 'ロール削除',
+  roles: 'ロール作成',
+  emojis: '絵文字・スタンプ',
+  channels: 'チャンネル作成',
+  memberRoles: 'メンバーロール',
+  webhooks: 'Webhook',
+  settings: 'サーバー設定',
+  replay: 'メッセージ再投稿'
+};
+const runningRestoreJobs = new Set(); // guildId
+const cancelledRestoreJobs = new Set(); // guildId, checked at every phase boundary
+const RESTORE_MAX_ATTEMPTS = 3; // transient failures are resumed on startup this many times before the job is parked
 
-    if (interaction) {
-      await interaction.followUp({ content: '✅ 完全復元が完了しました', flags: 64 }).catch(()=>{});
+class RestoreCancelledError extends Error {
+  constructor() {
+    super('restore job cancelled');
+    this.name = 'RestoreCancelledError';
+  }
+}
+
+function restoreJobFile(guildId) {
+  return path.join(guildBackupDir(guildId), 'restore-job.json');
+}
+
+function saveRestoreJob(job) {
+  job.updatedAt = new Date().toISOString();
+  const file = restoreJobFile(job.guildId);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  // write + rename so a crash mid-write never leaves a truncated checkpoint
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(job, null, 2), 'utf-8');
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+function loadRestoreJob(guildId) {
+  const file = restoreJobFile(guildId);
+  if (!fs.existsSync(file)) return null;
+  try { return JSON.parse(fs.readFileSync(file, 'utf-8')); } catch (e) { console.warn('broken restore job:', file, e.message); return null; }
+}
+
+function clearRestoreJob(guildId) {
+  try { fs.unlinkSync(restoreJobFile(guildId)); } catch {}
+}
+
+function formatRestoreProgress(job, detail = '') {
+  const current = RESTORE_PHASES.indexOf(job.phase);
+  const lines = [`🛠️ 復元ジョブ (${job.snapshotId ? `\`${job.snapshotId}\`` : '最新'})${job.resumedAt ? ' ・ 再開済み' : ''}`];
+  RESTORE_PHASES.forEach((p, i) => {
+    const mark = job.phase === 'done' || i < current ? '✅' : i === current ? '⏳' : '⬜';
+    lines.push(`${mark} ${RESTORE_PHASE_LABELS[p]}`);
+  });
+  if (detail) lines.push(detail);
+  if (job.failures.length) lines.push(`⚠️ 失敗 ${job.failures.length} 件`);
+  return lines.join('\n');
+}
+
+// progress is DM'd to the invoker: the invoking channel is deleted and the interaction token expires after 15 minutes
+async function updateRestoreProgress(job, detail = '') {
+  const content = formatRestoreProgress(job, detail);
+  try {
+    const user = await client.users.fetch(job.progress.userId);
+    const dm = await user.createDM();
+    if (job.progress.messageId) {
+      const msg = await dm.messages.fetch(job.progress.messageId).catch(() => null);
+      if (msg) { await msg.edit(content); return; }
+    }
+    const msg = await dm.send(content);
+    job.progress.messageId = msg.id;
+    saveRestoreJob(job);
+  } catch (e) {
+    console.warn('restore progress update failed:', e.message);
+  }
+}
+
+async function finishRestoreJob(guild, job, interaction) {
+  const ok = job.failures.length === 0;
+  const summary = ok ? '✅ 完全復元が完了しました' : `⚠️ 復元は完了しましたが ${job.failures.length} 件失敗しました`;
+  const report = job.failures.map(f => `[${RESTORE_PHASE_LABELS[f.phase] || f.phase}] ${f.entity}: ${f.error}`).join('\n');
+  noteAudit(interaction, { result: ok ? 'ok' : 'partial', counts: { roles: Object.keys(job.roleIdMap).length, channels: Object.keys(job.channelIdMap).length, failures: job.failures.length } });
+  try {
+    const user = await client.users.fetch(job.progress.userId);
+    const payload = { content: summary };
+    if (report) {
+      if (report.length <= 1800) payload.content += `\n\`\`\`\n${report}\n\`\`\``;
+      else payload.files = [{ attachment: Buffer.from(report, 'utf-8'), name: 'restore-report.txt' }];
+    }
+    await user.send(payload);
+  } catch (e) { console.warn('restore report DM failed:', e.message); }
+  if (interaction) await interaction.followUp({ content: summary + (report ? `\n${report}`.slice(0, 1500) : ''), flags: 64 }).catch(()=>{});
+  try {
+    const textChannels = guild.channels.cache.filter(c=>c.isTextBased());
+    if (textChannels.size > 0) await textChannels.random().send('✅ バックアップを復元完了しました');
+  } catch {}
+}
+
+// full restore: wipe channels/roles and rebuild from the backup as a resumable job
+function restoreGuildFromBackup(guild, backup, interaction, { replayCap = Infinity } = {}) {
+  const job = {
+    guildId: guild.id,
+    snapshotId: backup.meta?.snapshotId || null,
+    phase: RESTORE_PHASES[0],
+    replayCap: Number.isFinite(replayCap) ? replayCap : null,
+    roleIdMap: {},
+    emojiIdMap: {},
+    channelIdMap: {},
+    replayed: {}, // backup channel ID -> messages processed
+    failures: [],
+    progress: { userId: interaction?.user?.id || null, messageId: null },
+    startedAt: new Date().toISOString(),
+    resumedAt: null
+  };
+  saveRestoreJob(job);
+  return runRestoreJob(guild, job, backup, interaction);
+}
+
+async function runRestoreJob(guild, job, backup, interaction = null) {
+  if (runningRestoreJobs.has(guild.id)) return;
+  runningRestoreJobs.add(guild.id);
+  cancelledRestoreJobs.delete(guild.id);
+  job.attempts = (job.attempts || 0) + 1;
+  const fail = (entity, e) => {
+    job.failures.push({ phase: job.phase, entity, error: e.message || String(e) });
+    console.error('Restore failed:', job.phase, entity, e.message || e);
+  };
+  const roleIdMap = new Map(Object.entries(job.roleIdMap));
+  const channelIdMap = new Map(Object.entries(job.channelIdMap));
+  const checkpoint = () => {
+    job.roleIdMap = Object.fromEntries(roleIdMap);
+    job.channelIdMap = Object.fromEntries(channelIdMap);
+    saveRestoreJob(job);
+  };
+  const enter = async phase => {
+    if (cancelledRestoreJobs.has(guild.id)) throw new RestoreCancelledError();
+    job.phase = phase;
+    checkpoint();
+    await updateRestoreProgress(job);
+  };
+  const from = RESTORE_PHASES.indexOf(job.phase);
+  const pending = phase => RESTORE_PHASES.indexOf(phase) >= from;
+
+  try {
+    await guild.roles.fetch();
+    await guild.channels.fetch();
+    await guild.members.fetch().catch(e => console.warn('member fetch failed:', e.message));
+
+    if (pending('deleteChannels')) {
+      await enter('deleteChannels');
+      const { failures } = await discordQueue.settle([...guild.channels.cache.values()], ch => ({
+        fn: () => ch.delete('Restore: clear channels'), route: '/channels/:id', major: ch.id, label: `#${ch.name}`
+      }));
+      failures.forEach(f => job.failures.push({ phase: 'deleteChannels', entity: f.entity, error: f.error }));
+    }
+
+    if (pending('deleteRoles')) {
+      await enter('deleteRoles');
+      const deletableRoles = guild.roles.cache.filter(r => !r.managed && r.id !== guild.id).sort((a,b)=>a.position-b.position);
+      const { failures } = await discordQueue.settle([...deletableRoles.values()], r => ({
+        fn: () => r.delete('Restore: clear roles'), route: '/guilds/:id/roles/:id', major: guild.id, label: `@${r.name}`
+      }));
+      failures.forEach(f => job.failures.push({ phase: 'deleteRoles', entity: f.entity, error: f.error }));
+    }
+
+    const everyone = findBackupEveryone(backup);
+    if (everyone) roleIdMap.set(everyone.id, guild.id);
+    if (pending('roles')) {
+      await enter('roles');
+      for (const r of backup.roles) {
+        if (r === everyone || r.id === guild.id || roleIdMap.has(r.id)) continue;
+        try {
+          const created = await discordQueue.run(() => guild.roles.create({
+            name: r.name,
+            color: r.color,
+            hoist: r.hoist,
+            mentionable: r.mentionable,
+            permissions: BigInt(r.permissions),
+            reason: 'Restore: create role'
+          }), { route: '/guilds/:id/roles', major: guild.id });
+          roleIdMap.set(r.id, created.id);
+          checkpoint();
+        } catch (e) { fail(`@${r.name}`, e); }
+      }
+    }
+
+    if (pending('emojis')) {
+      await enter('emojis');
+      const { emojiIdMap, failures } = await restoreEmojisAndStickers(guild, backup, roleIdMap, 'Restore: emojis/stickers');
+      job.emojiIdMap = Object.fromEntries(emojiIdMap);
+      failures.forEach(f => job.failures.push({ phase: 'emojis', ...f }));
+    }
+    const emojiIdMap = new Map(Object.entries(job.emojiIdMap));
+
+    if (pending('channels')) {
+      await enter('channels');
+      const categories = backup.channels.filter(c=>c.type===ChannelType.GuildCategory).sort((a,b)=>a.position-b.position);
+      const others = backup.channels.filter(c=>c.type!==ChannelType.GuildCategory).sort((a,b)=>a.position-b.position);
+      for (const ch of [...categories, ...others]) {
+        if (channelIdMap.has(ch.id)) continue;
+        try {
+          const payload = ch.type === ChannelType.GuildCategory
+            ? { name: ch.name, type: ChannelType.GuildCategory, position: ch.position, reason: 'Restore: create category' }
+            : buildChannelPayload(ch, ch.parentId ? channelIdMap.get(ch.parentId) || null : null, 'Restore: create channel', emojiIdMap);
+          const created = await discordQueue.run(() => guild.channels.create(payload), { route: '/guilds/:id/channels', major: guild.id });
+          channelIdMap.set(ch.id, created.id);
+          checkpoint();
+          if (ch.overwrites?.length) {
+            await discordQueue.run(() => created.permissionOverwrites.set(mapBackupOverwrites(ch.overwrites, roleIdMap, guild), 'Restore: set overwrites'), { route: '/channels/:id', major: created.id });
+          }
+        } catch (e) { fail(`#${ch.name}`, e); }
+      }
+    }
+
+    if (pending('memberRoles')) {
+      await enter('memberRoles');
+      await restoreMemberRoles(guild, backup, roleIdMap, 'Restore: member roles');
+    }
+
+    if (pending('webhooks')) {
+      await enter('webhooks');
+      const { failures } = await restoreWebhooks(guild, backup, channelIdMap, 'Restore: webhooks');
+      failures.forEach(f => job.failures.push({ phase: 'webhooks', ...f }));
+    }
+
+    if (pending('settings')) {
+      await enter('settings');
+      const { failures } = await restoreGuildSettings(guild, backup, channelIdMap, 'Restore: guild settings');
+      failures.forEach(f => job.failures.push({ phase: 'settings', ...f }));
+    }
+
+    const replayCap = job.replayCap ?? Infinity;
+    if (pending('replay') && replayCap > 0) {
+      await enter('replay');
+      for (const [bid, messages] of Object.entries(backup.messages || {})) {
+        if (cancelledRestoreJobs.has(guild.id)) throw new RestoreCancelledError();
+        const channel = guild.channels.cache.get(channelIdMap.get(bid));
+        if (!channel) continue;
+        const start = job.replayed[bid] || 0;
+        try {
+          const result = await replayChannelMessages(channel, messages, backup, {
+            cap: replayCap,
+            start,
+            onSent: n => { job.replayed[bid] = n; saveRestoreJob(job); },
+            onProgress: (n, total) => updateRestoreProgress(job, `💬 #${channel.name} ${n}/${total}`)
+          });
+          if (result.failed) job.failures.push({ phase: 'replay', entity: `#${channel.name}`, error: `${result.failed} 件の再投稿に失敗` });
+        } catch (e) { fail(`#${channel.name}`, e); }
+      }
     }
+
+    job.phase = 'done';
+    checkpoint();
+    await updateRestoreProgress(job);
+    clearRestoreJob(guild.id);
+    await finishRestoreJob(guild, job, interaction);
   } catch (e) {
-    console.error('restoreGuildFromBackup error', e);
+    if (e instanceof RestoreCancelledError) {
+      clearRestoreJob(guild.id);
+      await updateRestoreProgress(job, '⏹️ 復元ジョブを中止しました');
+      return;
+    }
+    console.error('restore job error', e);
+    // transient errors keep the checkpoint so the job resumes on the next startup; anything else (or too many
+    // attempts) parks it so a restart doesn't run the wipe again until someone looks at it
+    const cause = e.cause || e;
+    if (!isTransientDiscordError(cause) || job.attempts >= RESTORE_MAX_ATTEMPTS) {
+      job.parked = { at: new Date().toISOString(), error: describeDiscordError(cause) };
+    }
+    checkpoint();
+    await updateRestoreProgress(job, job.parked
+      ? `❌ 停止: ${job.parked.error}（/restore mode:cancel で破棄できます）`
+      : `❌ 中断: ${e.message}（再起動時に再開します）`);
+  } finally {
+    runningRestoreJobs.delete(guild.id);
+    cancelledRestoreJobs.delete(guild.id);
+  }
+}
+
+async function resumeRestoreJobs() {
+  if (!fs.existsSync(BACKUP_DIR)) return;
+  for (const entry of fs.readdirSync(BACKUP_DIR, { withFileTypes: true })) {
+    if (!entry.isDirectory()) continue;
+    const job = loadRestoreJob(entry.name);
+    if (!job || job.phase === 'done') continue;
+    if (job.parked) { console.warn('parked restore job left in place:', job.guildId, job.parked.error); continue; }
+    const guild = client.guilds.cache.get(job.guildId);
+    if (!guild) { console.warn('restore job for unknown guild left in place:', job.guildId); continue; }
+    const backup = await loadGuildBackup(job.guildId, job.snapshotId);
+    if (!backup) {
+      console.error('restore job backup missing, dropping job:', job.guildId, job.snapshotId);
+      clearRestoreJob(job.guildId);
+      continue;
+    }
+    console.log(`resuming restore job ${job.guildId} from phase ${job.phase}`);
+    job.resumedAt = new Date().toISOString();
+    runRestoreJob(guild, job, backup).catch(e => console.error('resume restore job error', e));
+  }
+}
+
+// ===== Restore plan / reconcile (diff against the live guild, touch only what changed) =====
+const CHANNEL_DIFF_FIELDS = ['name', 'topic', 'nsfw', 'rateLimitPerUser', 'bitrate', 'userLimit'];
+
+function liveChannelValue(ch, field) {
+  if (field === 'topic') return ch.topic || null;
+  if (field === 'nsfw') return !!ch.nsfw;
+  if (field === 'rateLimitPerUser') return ch.rateLimitPerUser || 0;
+  if (field === 'bitrate') return ch.bitrate || null;
+  if (field === 'userLimit') return ch.userLimit || null;
+  return ch[field];
+}
+
+function backupChannelValue(ch, field) {
+  if (field === 'nsfw') return !!ch.nsfw;
+  if (field === 'rateLimitPerUser') return ch.rateLimitPerUser || 0;
+  if (field === 'topic' || field === 'bitrate' || field === 'userLimit') return ch[field] || null;
+  return ch[field];
+}
+
+// match backup entities to live ones: by ID first, then by name among the still unmatched
+function matchEntities(backupList, liveList, sameKind = () => true) {
+  const matched = new Map(); // backupId -> live
+  const used = new Set();
+  for (const b of backupList) {
+    const live = liveList.find(l => l.id === b.id && sameKind(b, l));
+    if (live) { matched.set(b.id, live); used.add(live.id); }
+  }
+  for (const b of backupList) {
+    if (matched.has(b.id)) continue;
+    const live = liveList.find(l => !used.has(l.id) && l.name === b.name && sameKind(b, l));
+    if (live) { matched.set(b.id, live); used.add(live.id); }
+  }
+  return { matched, unmatchedLive: liveList.filter(l => !used.has(l.id)) };
+}
+
+// desired vs live overwrites, keyed by backup role ID (roles) or user ID (members)
+function diffOverwrites(backupCh, liveCh, roleMatch) {
+  const reverse = new Map();
+  for (const [bid, live] of roleMatch) if (live) reverse.set(live.id, bid);
+  const members = liveCh.guild.members.cache;
+  const desired = new Map((backupCh.overwrites || []).filter(ow => ow.type === 0 || members.has(ow.id)).map(ow => [ow.id, ow]));
+  const current = new Map();
+  liveCh.permissionOverwrites?.cache?.forEach(ow => {
+    const key = ow.type === 0 ? reverse.get(ow.id) || `live:${ow.id}` : ow.id;
+    current.set(key, { allow: ow.allow.bitfield.toString(), deny: ow.deny.bitfield.toString() });
+  });
+  const diff = { add: [], change: [], remove: [] };
+  for (const [id, ow] of desired) {
+    const cur = current.get(id);
+    if (!cur) diff.add.push(id);
+    else if (cur.allow !== ow.allow || cur.deny !== ow.deny) diff.change.push(id);
+  }
+  for (const id of current.keys()) if (!desired.has(id)) diff.remove.push(id);
+  return diff;
+}
+
+async function planGuildRestore(guild, backup) {
+  await guild.roles.fetch();
+  await guild.channels.fetch();
+  await guild.members.fetch().catch(e => console.warn('member fetch failed:', e.message));
+
+  const backupEveryone = findBackupEveryone(backup);
+  const backupRoles = backup.roles.filter(r => r !== backupEveryone);
+  const liveRoles = [...guild.roles.cache.filter(r => !r.managed && r.id !== guild.id).values()];
+  const { matched: roleMatch, unmatchedLive: extraRoles } = matchEntities(backupRoles, liveRoles);
+  if (backupEveryone) roleMatch.set(backupEveryone.id, guild.roles.everyone);
+
+  const plan = {
+    snapshotId: backup.meta?.snapshotId || null,
+    roleMatch,
+    roles: { create: [], update: [], delete: extraRoles, reorder: [] },
+    channelMatch: null,
+    channels: { create: [], update: [], delete: [], reorder: [] },
+    overwrites: [],
+    memberRoles: [],
+    emojis: { create: [] },
+    stickers: { create: [] },
+    webhooks: { create: [] },
+    settings: []
+  };
+
+  await guild.emojis.fetch().catch(()=>{});
+  await guild.stickers.fetch().catch(()=>{});
+  const emojiMatch = new Map();
+  for (const e of backup.emojis || []) {
+    const live = guild.emojis.cache.get(e.id) || guild.emojis.cache.find(x => x.name === e.name);
+    if (live) emojiMatch.set(e.id, live.id);
+    else plan.emojis.create.push(e);
+  }
+  plan.stickers.create = (backup.stickers || []).filter(st => !guild.stickers.cache.some(x => x.name === st.name));
+
+  for (const r of backup.roles) {
+    const live = roleMatch.get(r.id);
+    if (!live) { plan.roles.create.push(r); continue; }
+    const changes = [];
+    if (live.id === guild.id) {
+      if (live.permissions.bitfield.toString() !== r.permissions) changes.push('permissions');
+    } else {
+      if (live.name !== r.name) changes.push('name');
+      if (live.color !== r.color) changes.push('color');
+      if (live.hoist !== r.hoist) changes.push('hoist');
+      if (live.mentionable !== r.mentionable) changes.push('mentionable');
+      if (live.permissions.bitfield.toString() !== r.permissions) changes.push('permissions');
+      if (live.position !== r.position) plan.roles.reorder.push({ backup: r, live, from: live.position, to: r.position });
+    }
+    if (changes.length) plan.roles.update.push({ backup: r, live, changes });
+  }
+
+  const liveChannels = [...guild.channels.cache.filter(c => !c.isThread()).values()];
+  const { matched: channelMatch, unmatchedLive: extraChannels } = matchEntities(backup.channels, liveChannels, (b, l) => b.type === l.type);
+  plan.channelMatch = channelMatch;
+  plan.channels.delete = extraChannels;
+
+  for (const ch of backup.channels) {
+    const live = channelMatch.get(ch.id);
+    if (!live) { plan.channels.create.push(ch); continue; }
+    const changes = CHANNEL_DIFF_FIELDS.filter(f => backupChannelValue(ch, f) !== liveChannelValue(live, f));
+    const wantParent = ch.parentId ? channelMatch.get(ch.parentId)?.id ?? `new:${ch.parentId}` : null;
+    if ((live.parentId || null) !== wantParent) changes.push('parent');
+    if (ch.forum && FORUM_CHANNEL_TYPES.includes(live.type)) {
+      const want = JSON.stringify(buildForumPayload(ch.forum, emojiMatch));
+      const have = JSON.stringify(buildForumPayload(collectForumSettings(live), new Map(guild.emojis.cache.map(e => [e.id, e.id]))));
+      if (want !== have) changes.push('forum');
+    }
+    if (changes.length) plan.channels.update.push({ backup: ch, live, changes });
+    if (live.rawPosition !== ch.position) plan.channels.reorder.push({ backup: ch, live, from: live.rawPosition, to: ch.position });
+    const ow = diffOverwrites(ch, live, roleMatch);
+    if (ow.add.length || ow.change.length || ow.remove.length) plan.overwrites.push({ backup: ch, live, ...ow });
+  }
+
+  // members still here that are missing some of their backed up roles (roles are only added, never removed)
+  for (const [userId, roleIds] of Object.entries(backup.memberRoles || {})) {
+    const member = guild.members.cache.get(userId);
+    if (!member) continue;
+    const missing = roleIds.filter(id => {
+      const live = roleMatch.get(id);
+      return live?.id !== guild.id && !(live && member.roles.cache.has(live.id));
+    });
+    if (missing.length) plan.memberRoles.push({ member, missing });
+  }
+
+  const liveHooks = backup.webhooks?.length ? await guild.fetchWebhooks().catch(() => null) : null;
+  for (const w of backup.webhooks || []) {
+    const live = channelMatch.get(w.channelId);
+    if (live && liveHooks?.some(x => x.channelId === live.id && x.name === w.name)) continue;
+    plan.webhooks.create.push(w);
+  }
+
+  const matchedIds = new Map([...channelMatch].map(([bid, live]) => [bid, live.id]));
+  plan.settings = Object.keys(diffGuildSettings(guild, backup.settings, matchedIds));
+  if (backup.meta?.name && guild.name !== backup.meta.name) plan.settings.push('name');
+  if ((backup.meta?.icon || backup.meta?.iconURL) && !guildIconUnchanged(guild, backup)) plan.settings.push('icon');
+
+  return plan;
+}
+
+function countRestorePlan(plan) {
+  const r = plan.roles, c = plan.channels;
+  return r.create.length + r.update.length + r.delete.length + r.reorder.length
+    + c.create.length + c.update.length + c.delete.length + c.reorder.length + plan.overwrites.length + plan.memberRoles.length
+    + plan.emojis.create.length + plan.stickers.create.length + plan.webhooks.create.length + plan.settings.length;
+}
+
+function formatRestorePlan(plan) {
+  const lines = [`📝 復元プラン${plan.snapshotId ? ` (\`${plan.snapshotId}\`)` : ''}`];
+  const r = plan.roles, c = plan.channels;
+  lines.push(`\nロール: 作成 ${r.create.length} / 更新 ${r.update.length} / 削除 ${r.delete.length} / 並べ替え ${r.reorder.length}`);
+  r.create.forEach(x => lines.push(`  + ${x.name}`));
+  r.update.forEach(x => lines.push(`  ~ ${x.live.name} (${x.changes.join(', ')})`));
+  r.delete.forEach(x => lines.push(`  - ${x.name}`));
+  r.reorder.forEach(x => lines.push(`  ↕ ${x.live.name} (${x.from} → ${x.to})`));
+  lines.push(`\nチャンネル: 作成 ${c.create.length} / 更新 ${c.update.length} / 削除 ${c.delete.length} / 並べ替え ${c.reorder.length}`);
+  c.create.forEach(x => lines.push(`  + #${x.name}`));
+  c.update.forEach(x => lines.push(`  ~ #${x.live.name} (${x.changes.join(', ')})`));
+  c.delete.forEach(x => lines.push(`  - #${x.name}`));
+  c.reorder.forEach(x => lines.push(`  ↕ #${x.live.name} (${x.from} → ${x.to})`));
+  lines.push(`\n権限上書き: ${plan.overwrites.length} チャンネル`);
+  plan.overwrites.forEach(x => lines.push(`  ~ #${x.live.name} (+${x.add.length} ~${x.change.length} -${x.remove.length})`));
+  lines.push(`\nメンバーロール: ${plan.memberRoles.length} 人に付与`);
+  plan.memberRoles.forEach(x => lines.push(`  + ${x.member.user.tag} (${x.missing.length} ロール)`));
+  lines.push(`\n絵文字: 作成 ${plan.emojis.create.length} / スタンプ: 作成 ${plan.stickers.create.length} / Webhook: 作成 ${plan.webhooks.create.length}`);
+  plan.emojis.create.forEach(x => lines.push(`  + :${x.name}:`));
+  plan.stickers.create.forEach(x => lines.push(`  + 🏷️ ${x.name}`));
+  plan.webhooks.create.forEach(x => lines.push(`  + 🔗 ${x.name}`));
+  lines.push(`\nサーバー設定: ${plan.settings.length ? plan.settings.join(', ') : '変更なし'}`);
+  if (!countRestorePlan(plan)) lines.push('\n✅ 差分はありません');
+  return lines.join('\n');
+}
+
+// long plans go out as a text file instead of overflowing the 2000 char limit
+function restorePlanReply(plan) {
+  const text = formatRestorePlan(plan);
+  if (text.length <= 1900) return { content: text, flags: 64 };
+  return { content: '📝 復元プラン（長いためファイルで送信します）', files: [{ attachment: Buffer.from(text, 'utf-8'), name: 'restore-plan.txt' }], flags: 64 };
+}
+
+async function reconcileGuildFromBackup(guild, backup, interaction, { replayCap = Infinity } = {}) {
+  const plan = await planGuildRestore(guild, backup);
+  const failures = [];
+  const fail = (what, e) => { failures.push(`${what}: ${e.message}`); console.error('Reconcile failed:', what, e.message); };
+
+  const roleIdMap = new Map();
+  for (const [bid, live] of plan.roleMatch) roleIdMap.set(bid, live.id);
+
+  for (const r of plan.roles.create) {
+    try {
+      const created = await discordQueue.run(() => guild.roles.create({ name: r.name, color: r.color, hoist: r.hoist, mentionable: r.mentionable, permissions: BigInt(r.permissions), reason: 'Reconcile: create role' }), { route: '/guilds/:id/roles', major: guild.id });
+      roleIdMap.set(r.id, created.id);
+    } catch (e) { fail(`role create ${r.name}`, e); }
+  }
+  const collect = ({ failures: list }) => list.forEach(f => fail(f.entity, { message: f.error }));
+  collect(await discordQueue.settle(plan.roles.update, ({ backup: r, live }) => ({
+    fn: () => live.id === guild.id
+      ? live.setPermissions(BigInt(r.permissions), 'Reconcile: update @everyone')
+      : live.edit({ name: r.name, color: r.color, hoist: r.hoist, mentionable: r.mentionable, permissions: BigInt(r.permissions), reason: 'Reconcile: update role' }),
+    route: '/guilds/:id/roles/:id', major: guild.id, label: `role update ${live.name}`
+  })));
+  collect(await discordQueue.settle(plan.roles.delete, live => ({
+    fn: () => live.delete('Reconcile: delete role'), route: '/guilds/:id/roles/:id', major: guild.id, label: `role delete ${live.name}`
+  })));
+  if (plan.roles.reorder.length) {
+    try {
+      await discordQueue.run(() => guild.roles.setPositions(plan.roles.reorder.map(x => ({ role: x.live.id, position: x.to }))), { route: '/guilds/:id/roles', major: guild.id });
+    } catch (e) { fail('role reorder', e); }
+  }
+
+  const { emojiIdMap, failures: emojiFailures } = await restoreEmojisAndStickers(guild, backup, roleIdMap, 'Reconcile: emojis/stickers');
+  emojiFailures.forEach(f => failures.push(`${f.entity}: ${f.error}`));
+
+  const channelIdMap = new Map();
+  const createdChannelIds = new Set();
+  for (const [bid, live] of plan.channelMatch) channelIdMap.set(bid, live.id);
+  // categories first so children can be parented to them
+  const toCreate = [...plan.channels.create].sort((a, b) => (a.type === ChannelType.GuildCategory ? 0 : 1) - (b.type === ChannelType.GuildCategory ? 0 : 1) || a.position - b.position);
+  for (const ch of toCreate) {
+    try {
+      const payload = buildChannelPayload(ch, ch.parentId ? channelIdMap.get(ch.parentId) || null : null, 'Reconcile: create channel', emojiIdMap);
+      payload.permissionOverwrites = mapBackupOverwrites(ch.overwrites, roleIdMap, guild);
+      const created = await discordQueue.run(() => guild.channels.create(payload), { route: '/guilds/:id/channels', major: guild.id });
+      channelIdMap.set(ch.id, created.id);
+      createdChannelIds.add(created.id);
+    } catch (e) { fail(`channel create ${ch.name}`, e); }
+  }
+  collect(await discordQueue.settle(plan.channels.update, ({ backup: ch, live, changes }) => {
+    const edit = { reason: 'Reconcile: update channel' };
+    for (const f of changes) {
+      if (f === 'parent') edit.parent = ch.parentId ? channelIdMap.get(ch.parentId) || null : null;
+      else if (f === 'forum') {
+        const forum = buildForumPayload(ch.forum, emojiIdMap);
+        // keep the IDs of tags that still exist so threads keep their tags
+        forum.availableTags = forum.availableTags.map(t => ({ ...t, id: live.availableTags?.find(x => x.name === t.name)?.id }));
+        Object.assign(edit, forum);
+      }
+      else edit[f] = backupChannelValue(ch, f);
+    }
+    return { fn: () => live.edit(edit), route: '/channels/:id', major: live.id, label: `channel update ${live.name}` };
+  }));
+  collect(await discordQueue.settle(plan.overwrites, ({ backup: ch, live }) => ({
+    fn: () => live.permissionOverwrites.set(mapBackupOverwrites(ch.overwrites, roleIdMap, guild), 'Reconcile: set overwrites'),
+    route: '/channels/:id', major: live.id, label: `overwrites ${live.name}`
+  })));
+  // keep the channel we report into
+  const toDelete = plan.channels.delete.filter(live => !interaction || live.id !== interaction.channelId);
+  collect(await discordQueue.settle(toDelete, live => ({
+    fn: () => live.delete('Reconcile: delete channel'), route: '/channels/:id', major: live.id, label: `channel delete ${live.name}`
+  })));
+  if (plan.channels.reorder.length) {
+    try {
+      await discordQueue.run(() => guild.channels.setPositions(plan.channels.reorder.map(x => ({ channel: x.live.id, position: x.to }))), { route: '/guilds/:id/channels', major: guild.id });
+    } catch (e) { fail('channel reorder', e); }
   }
+  const memberRoles = plan.memberRoles.map(x => ({ ...x, ids: x.missing.map(id => roleIdMap.get(id)).filter(Boolean) })).filter(x => x.ids.length);
+  collect(await discordQueue.settle(memberRoles, ({ member, ids }) => ({
+    fn: () => member.roles.add(ids, 'Reconcile: member roles'), route: '/guilds/:id/members/:id/roles/:id', major: guild.id, label: `member roles ${member.user.tag}`
+  })));
+  const hooks = await restoreWebhooks(guild, backup, channelIdMap, 'Reconcile: webhooks');
+  const settings = await restoreGuildSettings(guild, backup, channelIdMap, 'Reconcile: guild settings');
+  [...hooks.failures, ...settings.failures].forEach(f => failures.push(`${f.entity}: ${f.error}`));
+  // only freshly created channels are empty; existing ones keep their history
+  if (replayCap > 0) await replayBackupMessages(guild, backup, channelIdMap, createdChannelIds, interaction, replayCap);
+
+  noteAudit(interaction, { result: failures.length ? 'partial' : 'ok', counts: { changes: countRestorePlan(plan), failures: failures.length } });
+  if (interaction) {
+    const summary = `✅ 差分復元が完了しました（変更 ${countRestorePlan(plan)} 件 / 失敗 ${failures.length} 件）`;
+    const detail = failures.length ? `\n${failures.slice(0, 10).map(f => `・${f}`).join('\n')}` : '';
+    await interaction.followUp({ content: (summary + detail).slice(0, 2000), flags: 64 }).catch(()=>{});
+  }
+  return { plan, failures };
 }
 
-async function nukeChannel(channel, interaction) {
+async function nukeChannel(channel, interaction, { logChannel = null } = {}) {
   const backup = await collectGuildBackup(channel.guild);
-  saveGuildBackup(channel.guild.id, backup);
+  await saveGuildBackup(channel.guild.id, backup);
+
+  // archive before anything is deleted; a failed archive aborts the nuke
+  const archived = await fetchChannelMessages(channel);
+  const saved = await saveTranscript(channel, archived, 'nuke');
+  await postTranscriptToLog(channel.guild, saved, logChannel);
 
   const overwrites = channel.permissionOverwrites?.cache?.map(ow=>({
     id: ow.id,
@@ -699,31 +5315,99 @@ async function nukeChannel(channel, interaction) {
     reason: 'Nuke: recreate channel'
   };
 
-  const newCh = await channel.guild.channels.create(payload);
+  const newCh = await discordQueue.run(() => channel.guild.channels.create(payload), { route: '/guilds/:id/channels', major: channel.guild.id, label: 'チャンネル作成' });
   if (overwrites.length) {
-    await newCh.permissionOverwrites.set(overwrites.map(ow=>({
+    await discordQueue.run(() => newCh.permissionOverwrites.set(overwrites.map(ow=>({
       id: ow.id,
       allow: BigInt(ow.allow),
       deny: BigInt(ow.deny),
       type: ow.type
-    })), 'Nuke: set overwrites');
+    })), 'Nuke: set overwrites'), { route: '/channels/:id', major: newCh.id, label: '権限上書き' });
   }
 
-  try { await channel.delete('Nuke: delete old channel'); } catch {}
-  if (interaction) await interaction.followUp({ content: '💥 チャンネルをNukeしました', flags: 64 }).catch(()=>{});
-  try { await newCh.send('✅ チャンネルをNukeしました'); } catch {}
+  // the new channel already exists at this point, so a failed delete is reported instead of thrown
+  let deleteError = null;
+  try {
+    await discordQueue.run(() => channel.delete('Nuke: delete old channel'), { route: '/channels/:id', major: channel.id, label: '旧チャンネル削除' });
+  } catch (e) {
+    deleteError = e;
+    console.error('nuke delete failed:', e.message);
+  }
+  noteAudit(interaction, { result: deleteError ? 'partial' : 'ok', target: `#${channel.name} → ${newCh.id}`, counts: { archived: archived.length }, error: deleteError });
+  if (interaction) {
+    const content = deleteError ? `⚠️ チャンネルを再作成しましたが旧チャンネルを削除できませんでした: ${deleteError.message}` : '💥 チャンネルをNukeしました';
+    await interaction.followUp({ content, flags: 64 }).catch(()=>{});
+  }
+  await newCh.send('✅ チャンネルをNukeしました').catch(e => console.warn('nuke notice failed:', e.message));
   return newCh;
 }
 
-async function clearMessages(channel, amount, user, interaction) {
+// delete up to `amount` messages matching `filters`; recent ones in bulk, older than 14 days one by one
+async function clearMessages(channel, amount, filters, interaction, { logChannel = null } = {}) {
   try {
-    const msgs = await channel.messages.fetch({ limit: Math.min(amount, 100) }); // API limit
-    const filtered = user ? msgs.filter(m => m.author.id === user.id) : msgs;
-    await channel.bulkDelete(filtered, true);
-    if (interaction) await interaction.followUp({ content: `🧹 ${filtered.size}件のメッセージを削除しました`, flags: 64 }).catch(()=>{});
+    const filter = buildClearFilter(filters);
+    // never delete our own deferred reply
+    const skipIds = new Set();
+    const reply = interaction ? await interaction.fetchReply().catch(() => null) : null;
+    if (reply) skipIds.add(reply.id);
+    const { matched, scanned, exhausted } = await collectClearTargets(channel, amount, filter, { before: filters.before, after: filters.after, since: filters.since, skipIds });
+    noteAudit(interaction, { counts: { matched: matched.length, scanned } });
+    if (!matched.length) {
+      if (interaction) await interaction.followUp({ content: `🧹 条件に合うメッセージがありませんでした（${scanned}件を確認）`, flags: 64 }).catch(()=>{});
+      return;
+    }
+
+    const cutoff = Date.now() - BULK_DELETE_MAX_AGE;
+    if (interaction && matched.length >= CLEAR_CONFIRM_THRESHOLD) {
+      const oldest = matched[matched.length - 1].createdTimestamp, newest = matched[0].createdTimestamp;
+      const authors = new Set(matched.map(m => m.author.id)).size;
+      const oldCount = matched.filter(m => m.createdTimestamp <= cutoff).length;
+      const summary = [
+        `🧹 #${channel.name} のメッセージ ${matched.length} 件（投稿者 ${authors} 人）を削除します`,
+        `範囲: <t:${Math.floor(oldest / 1000)}:f> 〜 <t:${Math.floor(newest / 1000)}:f>`,
+        ...(oldCount ? [`うち ${oldCount} 件は14日以上前のため1件ずつ削除します（時間がかかります）`] : [])
+      ].join('\n');
+      if (!(await confirmAction(interaction, summary, { label: '削除する' }))) return;
+    }
+
+    const saved = await saveTranscript(channel, [...matched].reverse(), 'clear');
+    await postTranscriptToLog(channel.guild, saved, logChannel);
+
+    const recent = matched.filter(m => m.createdTimestamp > cutoff);
+    const old = matched.filter(m => m.createdTimestamp <= cutoff);
+    let bulkDeleted = 0;
+    const failures = [];
+    for (let i = 0; i < recent.length; i += 100) {
+      const chunk = recent.slice(i, i + 100);
+      try {
+        if (chunk.length === 1) {
+          await discordQueue.run(() => chunk[0].delete(), { route: '/channels/:id/messages/:id', major: channel.id });
+          bulkDeleted++;
+        } else {
+          const deleted = await discordQueue.run(() => channel.bulkDelete(chunk.map(m => m.id), true), { route: '/channels/:id/messages/bulk-delete', major: channel.id });
+          bulkDeleted += deleted.size;
+        }
+      } catch (e) { failures.push(describeDiscordError(e.cause || e)); }
+    }
+    // bulkDelete refuses messages older than 14 days, so those go one at a time through the queue
+    const { failures: oldFailures } = await discordQueue.settle(old, m => ({
+      fn: () => m.delete(), route: '/channels/:id/messages/:id', major: channel.id, label: m.id
+    }));
+    oldFailures.forEach(f => failures.push(f.error));
+    const oldDeleted = old.length - oldFailures.length;
+    const notDeleted = matched.length - bulkDeleted - oldDeleted;
+    noteAudit(interaction, { result: notDeleted > 0 ? 'partial' : 'ok', counts: { deleted: bulkDeleted + oldDeleted, failed: notDeleted }, error: failures[0] });
+
+    if (interaction) {
+      const lines = [`🧹 ${bulkDeleted + oldDeleted}件のメッセージを削除しました（一括 ${bulkDeleted} / 14日以上前を個別 ${oldDeleted}）`];
+      if (matched.length < amount) lines.push(`ℹ️ 条件に合うメッセージは ${matched.length} 件でした（${scanned}件を確認${exhausted ? '' : `・確認上限 ${CLEAR_MAX_SCAN} 件に到達`}）`);
+      if (notDeleted > 0) lines.push(`⚠️ ${notDeleted}件は削除できませんでした: ${[...new Set(failures)].slice(0, 3).join(' / ') || '不明な理由'}`);
+      await interaction.followUp({ content: lines.join('\n'), flags: 64 }).catch(()=>{});
+    }
   } catch (e) {
     console.error('clearMessages error', e);
-    if (interaction) await interaction.followUp({ content: '削除に失敗しました', flags: 64 }).catch(()=>{});
+    noteAudit(interaction, { result: 'error', error: e });
+    if (interaction) await interaction.followUp({ content: `削除に失敗しました: ${describeDiscordError(e.cause || e)}`, flags: 64 }).catch(()=>{});
   }
 }
 
@@ -745,27 +5429,32 @@ async function updateUptimeStatus() {
   }
 }
 
+client.on('messageReactionAdd', (reaction, user) => {
+  handleFlagReaction(reaction, user).catch(e => console.warn('flag translate error', e.message || e));
+});
+
+client.on('guildAuditLogEntryCreate', (entry, guild) => {
+  handleAuditLogEntry(entry, guild).catch(e => console.error('anti-nuke error', e));
+});
+
 // ===== On ready =====
 client.once('ready', async () => {
   console.log(`Logged in as ${client.user.tag}`);
   startTime = Date.now();
   setInterval(updateUptimeStatus, 5000); // 5秒間隔
-  // load quizzes from local or dropbox if exists
+  resumeRestoreJobs().catch(e => console.warn('resume restore jobs error', e.message || e));
+  try {
+    await migrateLegacySettings();
+    console.log(`settings: ${await warmSettingsCache()} documents cached`);
+  } catch (e) {
+    console.warn('settings migration error', e.message || e);
+  }
+  startWeatherScheduler();
+  startBackupScheduler();
+  // load quizzes from the storage backend (local copy first, then the mirror)
   try {
-    loadedQuizzes = loadQuizzes();
+    loadedQuizzes = await loadQuizzes();
     console.log(`Loaded ${loadedQuizzes.length} quizzes`);
-    // if Dropbox and remote exists, try to download quizzes
-    if (dbx) {
-      try {
-        const localQuizDir = BACKUP_DIR;
-        if (!fs.existsSync(localQuizDir)) fs.mkdirSync(localQuizDir, { recursive: true });
-        await downloadFromDropbox('/quizzes/quizzes.json', QUIZ_FILE);
-        loadedQuizzes = loadQuizzes();
-        console.log('quizzes downloaded from Dropbox');
-      } catch (e) {
-        console.warn('Dropbox quizzes download failed:', e.message || e);
-      }
-    }
   } catch (e) {
     console.warn('ready load data error', e.message || e);
   }
@@ -0,0 +1,242 @@
+// Storage backends (local disk / Dropbox / S3-compatible, optional AES-GCM at rest).
+// Every backend stores Buffers under slash separated keys ("<guildId>/<snapshotId>.json") and exposes
+// async put/get/list/delete; get returns null for a missing key.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ENCRYPTED_MAGIC = Buffer.from('NK2E');
+
+function assertStorageKey(key) {
+  if (typeof key !== 'string' || !key || key.startsWith('/') || key.split('/').some(p => p === '..' || p === '')) {
+    throw new Error(`invalid storage key: ${key}`);
+  }
+}
+
+function createLocalStorage(root) {
+  const resolve = key => { assertStorageKey(key); return path.join(root, ...key.split('/')); };
+  return {
+    name: 'local',
+    async put(key, buf) {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      // write + rename so readers never see a half written file; the temp name is unique per write
+      // so two writers of one key can't rename each other's bytes into place
+      const tmp = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+      try {
+        await fs.promises.writeFile(tmp, buf);
+        await fs.promises.rename(tmp, file);
+      } catch (e) {
+        await fs.promises.rm(tmp, { force: true }).catch(()=>{});
+        throw e;
+      }
+    },
+    // only the plain local backend can append; callers check for it and fall back to put
+    async append(key, buf) {
+      const file = resolve(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, buf);
+    },
+    async get(key) {
+      try { return await fs.promises.readFile(resolve(key)); }
+      catch (e) { if (e.code === 'ENOENT') return null; throw e; }
+    },
+    async list(prefix) {
+      const base = resolve(prefix.replace(/\/$/, ''));
+      const out = [];
+      const walk = async (dir, rel) => {
+        let entries;
+        try { entries = await fs.promises.readdir(dir, { withFileTypes: true }); }
+        catch (e) { if (e.code === 'ENOENT') return; throw e; }
+        for (const ent of entries) {
+          const childRel = rel ? `${rel}/${ent.name}` : ent.name;
+          if (ent.isDirectory()) await walk(path.join(dir, ent.name), childRel);
+          else if (!ent.name.endsWith('.tmp')) out.push(`${prefix.replace(/\/$/, '')}/${childRel}`);
+        }
+      };
+      await walk(base, '');
+      return out;
+    },
+    async delete(key) {
+      const file = resolve(key);
+      await fs.promises.rm(file, { force: true });
+      // drop the directory once it is empty (e.g. a pruned snapshot's .assets folder)
+      await fs.promises.rmdir(path.dirname(file)).catch(()=>{});
+    }
+  };
+}
+
+function createDropboxStorage(dbxClient, root = '') {
+  const toPath = key => { assertStorageKey(key); return `${root}/${key}`; };
+  const notFound = e => e?.status === 409 && /not_found/.test(JSON.stringify(e.error || ''));
+  return {
+    name: 'dropbox',
+    async put(key, buf) {
+      await dbxClient.filesUpload({ path: toPath(key), contents: buf, mode: { '.tag': 'overwrite' } });
+    },
+    async get(key) {
+      try {
+        const res = await dbxClient.filesDownload({ path: toPath(key) });
+        // the SDK returns fileBinary in Node and fileBlob in browsers
+        const bin = res.result?.fileBinary ?? res.result?.fileBlob ?? null;
+        if (!bin) throw new Error('No file content from Dropbox response');
+        return Buffer.isBuffer(bin) ? bin : Buffer.from(typeof bin.arrayBuffer === 'function' ? await bin.arrayBuffer() : bin);
+      } catch (e) {
+        if (notFound(e)) return null;
+        throw e;
+      }
+    },
+    async list(prefix) {
+      const dir = `${root}/${prefix.replace(/\/$/, '')}`;
+      const keys = [];
+      try {
+        let res = await dbxClient.filesListFolder({ path: dir, recursive: true });
+        for (;;) {
+          for (const ent of res.result.entries) {
+            if (ent['.tag'] === 'file') keys.push(ent.path_display.slice(root.length + 1));
+          }
+          if (!res.result.has_more) break;
+          res = await dbxClient.filesListFolderContinue({ cursor: res.result.cursor });
+        }
+      } catch (e) {
+        if (notFound(e)) return [];
+        throw e;
+      }
+      return keys;
+    },
+    async delete(key) {
+      try { await dbxClient.filesDeleteV2({ path: toPath(key) }); }
+      catch (e) { if (!notFound(e)) throw e; }
+    }
+  };
+}
+
+// minimal S3 client (path-style URLs + SigV4) so MinIO or any S3-compatible endpoint works without the AWS SDK
+function createS3Storage({ endpoint, bucket, region = 'us-east-1', accessKeyId, secretAccessKey, prefix = '' }) {
+  const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+  const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+  const encode = str => encodeURIComponent(str).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  const base = new URL(endpoint);
+
+  async function request(method, key, { query = {}, body = null } = {}) {
+    const objectPath = `/${bucket}${key !== null ? `/${`${prefix}${key}`.split('/').map(encode).join('/')}` : ''}`;
+    const canonicalQuery = Object.keys(query).sort().map(k => `${encode(k)}=${encode(query[k])}`).join('&');
+    const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const day = amzDate.slice(0, 8);
+    const payloadHash = sha256(body || '');
+    const headers = { host: base.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    const signedHeaders = Object.keys(headers).sort().join(';');
+    const canonicalRequest = [method, objectPath, canonicalQuery, ...Object.keys(headers).sort().map(h => `${h}:${headers[h]}`), '', signedHeaders, payloadHash].join('\n');
+    const scope = `${day}/${region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), 's3'), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+    delete headers.host;
+    const url = `${base.origin}${objectPath}${canonicalQuery ? `?${canonicalQuery}` : ''}`;
+    return fetch(url, { method, headers, body: body || undefined });
+  }
+
+  const fail = async (res, what) => {
+    const txt = await res.text().catch(()=>null);
+    return new Error(`S3 ${what} failed: ${res.status} ${txt || ''}`.trim());
+  };
+  const unxml = str => str.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+
+  return {
+    name: 's3',
+    async put(key, buf) {
+      assertStorageKey(key);
+      const res = await request('PUT', key, { body: buf });
+      if (!res.ok) throw await fail(res, `put ${key}`);
+    },
+    async get(key) {
+      assertStorageKey(key);
+      const res = await request('GET', key);
+      if (res.status === 404) return null;
+      if (!res.ok) throw await fail(res, `get ${key}`);
+      return Buffer.from(await res.arrayBuffer());
+    },
+    async list(listPrefix) {
+      const keys = [];
+      let token = null;
+      do {
+        const query = { 'list-type': '2', prefix: `${prefix}${listPrefix}` };
+        if (token) query['continuation-token'] = token;
+        const res = await request('GET', null, { query });
+        if (!res.ok) throw await fail(res, `list ${listPrefix}`);
+        const xml = await res.text();
+        for (const m of xml.matchAll(/<Key>([^<]*)<\/Key>/g)) keys.push(unxml(m[1]).slice(prefix.length));
+        token = /<IsTruncated>true<\/IsTruncated>/.test(xml) ? unxml(xml.match(/<NextContinuationToken>([^<]*)</)?.[1] || '') || null : null;
+      } while (token);
+      return keys;
+    },
+    async delete(key) {
+      assertStorageKey(key);
+      const res = await request('DELETE', key);
+      if (!res.ok && res.status !== 404) throw await fail(res, `delete ${key}`);
+    }
+  };
+}
+
+// AES-256-GCM wrapper: NK2E | iv(12) | tag(16) | ciphertext. Unencrypted (legacy) objects are passed through on read.
+function createEncryptedStorage(inner, secret) {
+  const raw = /^[0-9a-f]{64}$/i.test(secret) ? Buffer.from(secret, 'hex') : Buffer.from(secret, 'base64');
+  const key = raw.length === 32 ? raw : crypto.scryptSync(secret, 'nuke2-storage', 32);
+  return {
+    ...inner,
+    name: `${inner.name}+aes-gcm`,
+    append: undefined, // a GCM blob can't be extended in place
+    async put(k, buf) {
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+      const enc = Buffer.concat([cipher.update(buf), cipher.final()]);
+      await inner.put(k, Buffer.concat([ENCRYPTED_MAGIC, iv, cipher.getAuthTag(), enc]));
+    },
+    async get(k) {
+      const buf = await inner.get(k);
+      if (!buf || !buf.subarray(0, 4).equals(ENCRYPTED_MAGIC)) return buf;
+      const decipher = crypto.createDecipheriv('aes-256-gcm', key, buf.subarray(4, 16));
+      decipher.setAuthTag(buf.subarray(16, 32));
+      return Buffer.concat([decipher.update(buf.subarray(32)), decipher.final()]);
+    }
+  };
+}
+
+// writes go to every backend, reads come from the first one that has the key
+function createMirroredStorage(primary, mirrors) {
+  const all = [primary, ...mirrors];
+  return {
+    name: all.map(s => s.name).join(' -> '),
+    async put(key, buf) {
+      await primary.put(key, buf);
+      for (const m of mirrors) {
+        try { await m.put(key, buf); } catch (e) { console.warn(`storage mirror put failed (${m.name}):`, key, e.message); }
+      }
+    },
+    async get(key) {
+      for (const s of all) {
+        try {
+          const buf = await s.get(key);
+          if (buf) return buf;
+        } catch (e) { console.warn(`storage get failed (${s.name}):`, key, e.message); }
+      }
+      return null;
+    },
+    async list(prefix) {
+      const keys = new Set();
+      for (const s of all) {
+        try { (await s.list(prefix)).forEach(k => keys.add(k)); }
+        catch (e) { console.warn(`storage list failed (${s.name}):`, prefix, e.message); }
+      }
+      return [...keys];
+    },
+    async delete(key) {
+      for (const s of all) {
+        try { await s.delete(key); } catch (e) { console.warn(`storage delete failed (${s.name}):`, key, e.message); }
+      }
+    }
+  };
+}
+
+module.exports = { assertStorageKey, createLocalStorage, createDropboxStorage, createS3Storage, createEncryptedStorage, createMirroredStorage };
@@ -0,0 +1,135 @@
+// round trips for the storage backends: local disk, the AES-GCM wrapper and the S3 client
+// against a small in-process S3 stand-in that checks every SigV4 signature
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { createLocalStorage, createEncryptedStorage, createS3Storage } = require('../storage');
+
+const tmpRoot = () => fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+
+test('local storage round trip', async () => {
+  const root = tmpRoot();
+  const store = createLocalStorage(root);
+  assert.strictEqual(await store.get('g/missing.json'), null);
+  await store.put('g/a.json', Buffer.from('one'));
+  await store.put('g/x.assets/icon.png', Buffer.from('two'));
+  assert.strictEqual((await store.get('g/a.json')).toString(), 'one');
+  assert.deepStrictEqual((await store.list('g/')).sort(), ['g/a.json', 'g/x.assets/icon.png']);
+  await store.append('log/m.jsonl', Buffer.from('1\n'));
+  await store.append('log/m.jsonl', Buffer.from('2\n'));
+  assert.strictEqual((await store.get('log/m.jsonl')).toString(), '1\n2\n');
+  await store.delete('g/x.assets/icon.png');
+  assert.deepStrictEqual(await store.list('g/'), ['g/a.json']);
+  assert.ok(!fs.existsSync(path.join(root, 'g', 'x.assets')));
+  await assert.rejects(store.put('../escape.json', Buffer.from('x')), /invalid storage key/);
+});
+
+test('local storage keeps concurrent writes to one key whole', async () => {
+  const store = createLocalStorage(tmpRoot());
+  const bodies = Array.from({ length: 8 }, (_, i) => Buffer.from(String(i).repeat(4096)));
+  await Promise.all(bodies.map(b => store.put('g/index.json', b)));
+  const got = (await store.get('g/index.json')).toString();
+  assert.ok(bodies.some(b => b.toString() === got));
+  assert.deepStrictEqual(await store.list('g/'), ['g/index.json']);
+});
+
+test('encrypted storage round trip', async () => {
+  const root = tmpRoot();
+  const inner = createLocalStorage(root);
+  const store = createEncryptedStorage(inner, crypto.randomBytes(32).toString('hex'));
+  await store.put('g/a.json', Buffer.from('secret'));
+  const raw = fs.readFileSync(path.join(root, 'g', 'a.json'));
+  assert.strictEqual(raw.subarray(0, 4).toString(), 'NK2E');
+  assert.ok(!raw.includes('secret'));
+  assert.strictEqual((await store.get('g/a.json')).toString(), 'secret');
+  // objects written before encryption was turned on are passed through
+  await inner.put('g/legacy.json', Buffer.from('plain'));
+  assert.strictEqual((await store.get('g/legacy.json')).toString(), 'plain');
+  assert.strictEqual(store.append, undefined);
+  const other = createEncryptedStorage(inner, 'another passphrase');
+  await assert.rejects(other.get('g/a.json'));
+});
+
+// ===== S3 stand-in =====
+const S3_KEYS = { accessKeyId: 'AKIDTEST', secretAccessKey: 'test-secret', region: 'us-east-1' };
+const encode = str => encodeURIComponent(str).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+function verifySignature(req, body) {
+  const auth = req.headers.authorization || '';
+  const m = auth.match(/^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/);
+  if (!m || m[1] !== S3_KEYS.accessKeyId) return false;
+  const [, , day, region, signedHeaders, signature] = m;
+  if (req.headers['x-amz-content-sha256'] !== sha256(body)) return false;
+  const [rawPath, rawQuery = ''] = req.url.split('?');
+  const query = [...new URLSearchParams(rawQuery)].map(([k, v]) => `${encode(k)}=${encode(v)}`).sort().join('&');
+  const headers = signedHeaders.split(';').map(h => `${h}:${req.headers[h]}`);
+  const canonical = [req.method, rawPath, query, ...headers, '', signedHeaders, req.headers['x-amz-content-sha256']].join('\n');
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const toSign = ['AWS4-HMAC-SHA256', req.headers['x-amz-date'], scope, sha256(canonical)].join('\n');
+  const key = hmac(hmac(hmac(hmac(`AWS4${S3_KEYS.secretAccessKey}`, day), region), 's3'), 'aws4_request');
+  return crypto.createHmac('sha256', key).update(toSign).digest('hex') === signature;
+}
+
+// path-style bucket, ListObjectsV2 paged two keys at a time so continuation tokens get exercised
+function startS3StandIn(bucket) {
+  const objects = new Map();
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      if (!verifySignature(req, body)) { res.writeHead(403); return res.end('<Error><Code>SignatureDoesNotMatch</Code></Error>'); }
+      const url = new URL(req.url, 'http://stand-in');
+      const parts = url.pathname.split('/').slice(1).map(decodeURIComponent);
+      if (parts[0] !== bucket) { res.writeHead(404); return res.end(); }
+      const key = parts.slice(1).join('/');
+      if (!key && req.method === 'GET') {
+        const prefix = url.searchParams.get('prefix') || '';
+        const keys = [...objects.keys()].filter(k => k.startsWith(prefix)).sort();
+        const start = Number(url.searchParams.get('continuation-token') || 0);
+        const page = keys.slice(start, start + 2);
+        const more = start + 2 < keys.length;
+        res.writeHead(200, { 'content-type': 'application/xml' });
+        return res.end(`<ListBucketResult>${page.map(k => `<Contents><Key>${k.replace(/&/g, '&amp;')}</Key></Contents>`).join('')}`
+          + `<IsTruncated>${more}</IsTruncated>${more ? `<NextContinuationToken>${start + 2}</NextContinuationToken>` : ''}</ListBucketResult>`);
+      }
+      if (req.method === 'PUT') { objects.set(key, body); res.writeHead(200); return res.end(); }
+      if (req.method === 'GET') {
+        if (!objects.has(key)) { res.writeHead(404); return res.end(); }
+        res.writeHead(200); return res.end(objects.get(key));
+      }
+      if (req.method === 'DELETE') { objects.delete(key); res.writeHead(204); return res.end(); }
+      res.writeHead(405); res.end();
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+test('s3 storage round trip against a signature-checking stand-in', async () => {
+  const server = await startS3StandIn('bucket');
+  try {
+    const endpoint = `http://127.0.0.1:${server.address().port}`;
+    const store = createS3Storage({ endpoint, bucket: 'bucket', prefix: 'bot/', ...S3_KEYS });
+    assert.strictEqual(await store.get('g/missing.json'), null);
+    await store.put('g/a.json', Buffer.from('one'));
+    await store.put('g/b & c.json', Buffer.from('two'));
+    await store.put('g/x.assets/icon.png', Buffer.from('three'));
+    await store.put('other/z.json', Buffer.from('four'));
+    assert.strictEqual((await store.get('g/b & c.json')).toString(), 'two');
+    assert.deepStrictEqual((await store.list('g/')).sort(), ['g/a.json', 'g/b & c.json', 'g/x.assets/icon.png']);
+    await store.delete('g/a.json');
+    await store.delete('g/a.json');
+    assert.deepStrictEqual((await store.list('g/')).sort(), ['g/b & c.json', 'g/x.assets/icon.png']);
+
+    const wrong = createS3Storage({ endpoint, bucket: 'bucket', ...S3_KEYS, secretAccessKey: 'wrong' });
+    await assert.rejects(wrong.get('g/b & c.json'), /403/);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});